@@ -9,44 +9,34 @@
     const jspErrorSelector = options.jspErrorSelector || '.error-message, .validation-error';
     
     // Handle JSP forms
-    document.querySelectorAll(jspFormSelector).forEach(form => {
+    this.queryAll(document, jspFormSelector).forEach(form => {
+      // The form errors module finds the messages this selector matches too
+      this.jspErrorSelectors.set(form, jspErrorSelector);
+      
       // Add form validation error handling
-      form.addEventListener('submit', event => {
+      this.addListener(form, 'submit', event => {
         // Check if the form has client-side validation
         if (form.hasAttribute('data-validate') || form.classList.contains('validate-form')) {
           // After validation (in a setTimeout to allow validation to complete)
-          setTimeout(() => {
-            // Check for error messages
-            const errorMessages = form.querySelectorAll(jspErrorSelector);
-            if (errorMessages.length > 0) {
-              // Focus the first error message or the field with the error
-              const firstErrorField = form.querySelector('.has-error input, .invalid input, input.error');
-              if (firstErrorField) {
-                firstErrorField.focus();
-              } else {
-                errorMessages[0].setAttribute('tabindex', '-1');
-                errorMessages[0].focus();
-                // Remove tabindex after focus
-                setTimeout(() => {
-                  errorMessages[0].removeAttribute('tabindex');
-                }, 100);
-              }
-            }
+          this.setTimer(() => {
+            // Link the errors to their fields and move focus to the error summary
+            this.setupFormErrors(form, { focus: true });
           }, 100);
         }
       });
       
       // Handle dynamically loaded content in JSP forms
-      form.addEventListener('ajax:success', () => {
+      this.addListener(form, 'ajax:success', () => {
         this.processDynamicContent(form);
+        this.announceUpdatedRegion(form);
       });
     });
     
     // Handle JSP ajax pagination
-    document.querySelectorAll('.pagination a, .pager a').forEach(link => {
-      link.addEventListener('click', () => {
+    this.queryAll(document, '.pagination a, .pager a').forEach(link => {
+      this.addListener(link, 'click', () => {
         // After pagination content loads
-        setTimeout(() => {
+        this.setTimer(() => {
           const paginationContainer = link.closest('.pagination-container, .paginated-content');
           if (paginationContainer) {
             this.processDynamicContent(paginationContainer);
@@ -54,12 +44,17 @@
             // Focus the first item in the new page content
             const contentItems = paginationContainer.querySelectorAll('.item, .list-item, tr, .content-item');
             if (contentItems.length > 0) {
-              contentItems[0].setAttribute('tabindex', '-1');
-              contentItems[0].focus();
-              // Remove tabindex after focus
-              setTimeout(() => {
-                contentItems[0].removeAttribute('tabindex');
-              }, 100);
+              this.focusTemporarily(contentItems[0], 'jsp-pagination');
+            }
+            
+            // Announce the new page, unless the container provides its own message
+            if (!this.announceUpdatedRegion(paginationContainer)) {
+              const currentPage = paginationContainer.querySelector(
+                '.pagination .active, .pager .active, [aria-current="page"]'
+              );
+              this.announce(currentPage && currentPage.textContent.trim()
+                ? this.t('pagination.pageLoaded', { page: currentPage.textContent.trim() })
+                : this.t('pagination.newPageLoaded'), { dedupeKey: 'jsp-pagination' });
             }
           }
         }, 300);
@@ -85,8 +80,8 @@
     ];
     
     // Get all modal triggers
-    document.querySelectorAll(triggerSelectors.join(',')).forEach(trigger => {
-      trigger.addEventListener('click', () => {
+    this.queryAll(document, triggerSelectors.join(',')).forEach(trigger => {
+      this.addListener(trigger, 'click', () => {
         // Find the target modal
         let targetModal = null;
         
@@ -114,7 +109,7 @@
         
         if (targetModal) {
           // Wait for the modal to be visible
-          setTimeout(() => {
+          this.setTimer(() => {
             // Set up focus trapping
             const focusTrap = this.setupFocusTrap(targetModal, {
               triggerElement: trigger,
@@ -130,7 +125,7 @@
             );
             
             closeButtons.forEach(button => {
-              button.addEventListener('click', () => {
+              this.addListener(button, 'click', () => {
                 if (targetModal._removeFocusTrap) {
                   targetModal._removeFocusTrap();
                 }
@@ -143,11 +138,11 @@
     
     // Handle dynamically loaded modals
     // Many JSP applications load modals via AJAX
-    document.addEventListener('ajax:complete', event => {
-      setTimeout(() => {
+    this.addListener(document, 'ajax:complete', event => {
+      this.setTimer(() => {
         // Check if the response contains a modal
         modalSelectors.forEach(selector => {
-          const newModals = document.querySelectorAll(`${selector}:not([data-accessibility-processed])`);
+          const newModals = this.queryAll(document, `${selector}:not([data-accessibility-processed])`);
           
           newModals.forEach(modal => {
             // Mark as processed
@@ -182,6 +177,7 @@
               attributes: true,
               attributeFilter: ['class', 'style', 'hidden', 'aria-hidden']
             });
+            this.observers.add(observer);
           });
         });
       }, 200);
@@ -199,7 +195,7 @@
       '[data-wizard]', '[data-stepper]'
     ];
     
-    document.querySelectorAll(wizardSelectors.join(',')).forEach(wizard => {
+    this.queryAll(document, wizardSelectors.join(',')).forEach(wizard => {
       // Skip if already processed
       if (wizard.hasAttribute('data-wizard-processed')) {
         return;
@@ -232,24 +228,24 @@
         // Update classes on steps
         wizard._wizardState.steps.forEach((step, index) => {
           if (index < newIndex) {
-            step.classList.remove('active', 'current');
-            step.classList.add('completed');
-            step.setAttribute('aria-selected', 'false');
+            this.changeClass(step, ['active', 'current'], false, 'jsp-wizard');
+            this.changeClass(step, 'completed', true, 'jsp-wizard');
+            this.changeAttribute(step, 'aria-selected', 'false', 'jsp-wizard');
           } else if (index === newIndex) {
-            step.classList.add('active', 'current');
-            step.classList.remove('completed');
-            step.setAttribute('aria-selected', 'true');
+            this.changeClass(step, ['active', 'current'], true, 'jsp-wizard');
+            this.changeClass(step, 'completed', false, 'jsp-wizard');
+            this.changeAttribute(step, 'aria-selected', 'true', 'jsp-wizard');
           } else {
-            step.classList.remove('active', 'current', 'completed');
-            step.setAttribute('aria-selected', 'false');
+            this.changeClass(step, ['active', 'current', 'completed'], false, 'jsp-wizard');
+            this.changeAttribute(step, 'aria-selected', 'false', 'jsp-wizard');
           }
         });
         
         // Update content visibility
         wizard._wizardState.contents.forEach((content, index) => {
           if (index === newIndex) {
-            content.classList.add('active');
-            content.setAttribute('aria-hidden', 'false');
+            this.changeClass(content, 'active', true, 'jsp-wizard');
+            this.changeAttribute(content, 'aria-hidden', 'false', 'jsp-wizard');
             
             // Focus management
             if (focusManagement) {
@@ -257,72 +253,54 @@
               if (newIndex > currentIndex) {
                 const firstInput = content.querySelector('input, select, textarea, button, a, [tabindex]');
                 if (firstInput) {
-                  setTimeout(() => {
+                  this.setTimer(() => {
                     firstInput.focus();
                   }, 50);
                 } else {
-                  content.setAttribute('tabindex', '-1');
-                  content.focus();
-                  setTimeout(() => {
-                    content.removeAttribute('tabindex');
-                  }, 100);
+                  this.focusTemporarily(content, 'jsp-wizard');
                 }
               }
               // If moving backward, focus the last field
               else if (newIndex < currentIndex) {
                 const inputs = content.querySelectorAll('input, select, textarea, button, a, [tabindex]');
                 if (inputs.length > 0) {
-                  setTimeout(() => {
+                  this.setTimer(() => {
                     inputs[inputs.length - 1].focus();
                   }, 50);
                 } else {
-                  content.setAttribute('tabindex', '-1');
-                  content.focus();
-                  setTimeout(() => {
-                    content.removeAttribute('tabindex');
-                  }, 100);
+                  this.focusTemporarily(content, 'jsp-wizard');
                 }
               }
             }
           } else {
-            content.classList.remove('active');
-            content.setAttribute('aria-hidden', 'true');
+            this.changeClass(content, 'active', false, 'jsp-wizard');
+            this.changeAttribute(content, 'aria-hidden', 'true', 'jsp-wizard');
           }
         });
         
         // Update the current step index
         wizard._wizardState.currentStepIndex = newIndex;
         
-        // Update the wizard's live region to announce the step change
-        let announcement = wizard.querySelector('.wizard-announcement');
-        if (!announcement) {
-          announcement = document.createElement('div');
-          announcement.className = 'wizard-announcement sr-only';
-          announcement.setAttribute('aria-live', 'polite');
-          announcement.setAttribute('aria-atomic', 'true');
-          wizard.appendChild(announcement);
-        }
-        
         // Announce the step change
         const stepNumber = newIndex + 1;
         const totalSteps = wizard._wizardState.steps.length;
-        announcement.textContent = `Step ${stepNumber} of ${totalSteps}`;
+        this.announce(this.t('wizard.step', { step: stepNumber, total: totalSteps }), { dedupeKey: 'jsp-wizard' });
       };
       
       // Set up click handlers for steps (if they're clickable)
       steps.forEach((step, index) => {
         // Only handle clicks for steps that should be clickable
         if (!step.classList.contains('disabled') && !step.hasAttribute('disabled')) {
-          step.addEventListener('click', () => {
+          this.addListener(step, 'click', () => {
             navigateToStep(index);
           });
           
           // Ensure keyboard accessibility
           if (!step.hasAttribute('tabindex')) {
-            step.setAttribute('tabindex', '0');
+            this.changeAttribute(step, 'tabindex', '0', 'jsp-wizard');
           }
           
-          step.addEventListener('keydown', event => {
+          this.addListener(step, 'keydown', event => {
             if (event.key === 'Enter' || event.key === ' ') {
               event.preventDefault();
               navigateToStep(index);
@@ -333,21 +311,21 @@
       
       // Set up next/previous button handlers
       nextButtons.forEach(button => {
-        button.addEventListener('click', () => {
+        this.addListener(button, 'click', () => {
           const currentIndex = wizard._wizardState.currentStepIndex;
           navigateToStep(currentIndex + 1);
         });
       });
       
       prevButtons.forEach(button => {
-        button.addEventListener('click', () => {
+        this.addListener(button, 'click', () => {
           const currentIndex = wizard._wizardState.currentStepIndex;
           navigateToStep(currentIndex - 1);
         });
       });
       
       // Set up keyboard navigation for the wizard
-      wizard.addEventListener('keydown', event => {
+      this.addListener(wizard, 'keydown', event => {
         // Only handle keyboard navigation when inside the wizard steps
         if (!event.target.closest('.step, .wizard-step, [data-step]')) {
           return;
@@ -372,10 +350,14 @@
   /**
    * Handle accessible autocomplete components
    * @param {Element} container - The container to search in
+   * @param {Object} options - Configuration options
+   * @param {Function} options.source - Called with (query, { signal }) as the user types; returns (a promise of) strings or { label, value } objects
+   * @param {number} options.debounce - Delay in milliseconds after typing stops before calling the source (default: 300)
+   * @param {number} options.minLength - Number of characters needed before suggestions are requested (default: 1)
    */
-  setupAccessibleAutocomplete(container) {
+  setupAccessibleAutocomplete(container, options = {}) {
     // Look for autocomplete inputs
-    const autocompleteInputs = container.querySelectorAll(
+    const autocompleteInputs = this.queryAll(container,
       'input[role="combobox"], input.autocomplete, .autocomplete input, ' +
       'input[list], input[data-autocomplete]'
     );
@@ -390,19 +372,20 @@
       
       // Ensure ARIA attributes are set correctly
       if (input.getAttribute('role') !== 'combobox') {
-        input.setAttribute('role', 'combobox');
+        this.changeAttribute(input, 'role', 'combobox', 'autocomplete');
       }
       
       if (!input.hasAttribute('aria-autocomplete')) {
-        input.setAttribute('aria-autocomplete', 'list');
+        this.changeAttribute(input, 'aria-autocomplete', 'list', 'autocomplete');
       }
       
       if (!input.hasAttribute('aria-expanded')) {
-        input.setAttribute('aria-expanded', 'false');
+        this.changeAttribute(input, 'aria-expanded', 'false', 'autocomplete');
       }
       
       // Find or create the suggestion list
       let suggestionList = null;
+      let datalistValues = null;
       
       // Method 1: Check for list attribute
       if (input.hasAttribute('list')) {
@@ -417,25 +400,31 @@
           newList.setAttribute('role', 'listbox');
           newList.style.display = 'none';
           
-          // Convert options to list items
-          const options = suggestionList.querySelectorAll('option');
-          options.forEach(option => {
+          // Convert options to list items, and keep the values for filtering as the user types
+          datalistValues = Array.from(suggestionList.querySelectorAll('option')).map(option => option.value);
+          datalistValues.forEach(value => {
             const listItem = document.createElement('li');
             listItem.setAttribute('role', 'option');
             listItem.setAttribute('tabindex', '-1');
-            listItem.textContent = option.value;
+            this.intentionalTabindex.add(listItem);
+            listItem.textContent = value;
             newList.appendChild(listItem);
           });
           
           // Insert the new list after the input
-          input.parentNode.insertBefore(newList, input.nextSibling);
+          this.insertElement(input.parentNode, newList, input.nextSibling, 'autocomplete');
+          
+          // Update ARIA attributes
+          this.changeAttribute(input, 'aria-controls', listId + '-accessible', 'autocomplete');
+          this.changeAttribute(input, 'list', null, 'autocomplete'); // Remove the list attribute to prevent duplicates
+          
+          // In report-only mode the list was not inserted, so there is nothing to wire up
+          if (!newList.parentNode) {
+            return;
+          }
           
           // Update reference to the new list
           suggestionList = newList;
-          
-          // Update ARIA attributes
-          input.setAttribute('aria-controls', listId + '-accessible');
-          input.removeAttribute('list'); // Remove the list attribute to prevent duplicates
         }
       }
       
@@ -470,129 +459,291 @@
       if (suggestionList) {
         // Ensure the list has the right ARIA attributes
         if (!suggestionList.hasAttribute('role')) {
-          suggestionList.setAttribute('role', 'listbox');
+          this.changeAttribute(suggestionList, 'role', 'listbox', 'autocomplete');
         }
         
         // Link the input to the list
         const listId = suggestionList.id || 'autocomplete-list-' + this.generateUniqueId();
         suggestionList.id = listId;
-        input.setAttribute('aria-controls', listId);
+        this.changeAttribute(input, 'aria-controls', listId, 'autocomplete');
+        
+        // Options are queried every time, so options rendered later are included
+        const getOptions = () => {
+          const explicit = suggestionList.querySelectorAll('[role="option"]');
+          const options = explicit.length > 0 ? explicit : suggestionList.querySelectorAll('li, option');
+          return Array.from(options).filter(option => !option.hidden && option.style.display !== 'none');
+        };
+        
+        // Suggestions come from the source callback, the converted datalist, or the page itself
+        const source = options.source || (datalistValues && (query => {
+          const lowerQuery = query.toLowerCase();
+          return datalistValues.filter(value => value.toLowerCase().includes(lowerQuery));
+        }));
+        const debounce = datalistValues && !options.source ? 0 : (options.debounce !== undefined ? options.debounce : 300);
+        const minLength = options.minLength !== undefined ? options.minLength : 1;
+        
+        let activeOption = null;
+        let debounceTimer = null;
+        let controller = null;
+        let requestId = 0;
+        
+        const isExpanded = () => input.getAttribute('aria-expanded') === 'true';
+        
+        const expand = () => {
+          this.changeAttribute(input, 'aria-expanded', 'true', 'autocomplete');
+          this.changeStyle(suggestionList, 'display', '', 'autocomplete');
+        };
+        
+        const collapse = () => {
+          this.changeAttribute(input, 'aria-expanded', 'false', 'autocomplete');
+          this.changeStyle(suggestionList, 'display', 'none', 'autocomplete');
+          setActiveOption(null);
+        };
+        
+        // Update the active option visually and with ARIA
+        const setActiveOption = option => {
+          activeOption = option;
+          getOptions().forEach(candidate => {
+            const active = candidate === option;
+            this.changeClass(candidate, ['active', 'selected'], active, 'autocomplete');
+            this.changeAttribute(candidate, 'aria-selected', active ? 'true' : 'false', 'autocomplete');
+          });
+          
+          // Update the active descendant
+          if (option) {
+            if (!option.id) {
+              option.id = `${listId}-option-${this.generateUniqueId()}`;
+            }
+            this.changeAttribute(input, 'aria-activedescendant', option.id, 'autocomplete');
+            if (option.scrollIntoView) {
+              option.scrollIntoView({ block: 'nearest' });
+            }
+          } else {
+            this.changeAttribute(input, 'aria-activedescendant', null, 'autocomplete');
+          }
+        };
+        
+        const selectOption = option => {
+          input.value = option.getAttribute('data-value') || option.textContent.trim();
+          collapse();
+          input.dispatchEvent(new Event('change', { bubbles: true }));
+        };
+        
+        // Replace the options with the results of the source. Report-only mode leaves the page
+        // untouched, so the results aren't shown.
+        const renderOptions = results => {
+          if (this.reportOnly) {
+            return;
+          }
+          
+          const items = results.map(result => {
+            const label = typeof result === 'string' ? result : (result.label || result.value);
+            const listItem = document.createElement('li');
+            listItem.setAttribute('role', 'option');
+            listItem.setAttribute('tabindex', '-1');
+            this.intentionalTabindex.add(listItem);
+            listItem.id = `${listId}-option-${this.generateUniqueId()}`;
+            listItem.textContent = label;
+            if (typeof result !== 'string' && result.value !== undefined) {
+              listItem.setAttribute('data-value', result.value);
+            }
+            return listItem;
+          });
+          suggestionList.replaceChildren(...items);
+        };
+        
+        // Ask the source for suggestions, cancelling any request still in flight
+        const runQuery = () => {
+          const query = input.value;
+          const current = ++requestId;
+          if (controller) {
+            controller.abort();
+          }
+          controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+          
+          if (query.length < minLength) {
+            renderOptions([]);
+            collapse();
+            return;
+          }
+          
+          Promise.resolve()
+            .then(() => source(query, { signal: controller ? controller.signal : null }))
+            .then(results => {
+              // Ignore responses to queries the user has typed past
+              if (current !== requestId) {
+                return;
+              }
+              
+              renderOptions(results || []);
+              if (results && results.length > 0) {
+                expand();
+              } else {
+                collapse();
+              }
+            })
+            .catch(error => {
+              if (!error || error.name !== 'AbortError') {
+                console.error('Autocomplete source failed:', error);
+              }
+            });
+        };
+        
+        if (source) {
+          this.addListener(input, 'input', () => {
+            if (debounceTimer) {
+              clearTimeout(debounceTimer);
+              this.timers.delete(debounceTimer);
+            }
+            debounceTimer = this.setTimer(() => {
+              debounceTimer = null;
+              runQuery();
+            }, debounce);
+          });
+        }
         
-        // Get all option elements
-        const optionElements = suggestionList.querySelectorAll('li, option, [role="option"]');
+        let lastAnnouncedCount = null;
         
-        // Set up keyboard navigation for the list
-        let activeIndex = -1;
+        // Keep the active option valid and announce the number of suggestions when they change
+        const optionsObserver = new MutationObserver(() => {
+          const current = getOptions();
+          if (activeOption && !current.includes(activeOption)) {
+            setActiveOption(null);
+          }
+          
+          current.forEach(option => {
+            if (!option.hasAttribute('role')) {
+              this.changeAttribute(option, 'role', 'option', 'autocomplete');
+            }
+          });
+          
+          const visible = !this.isVisuallyHidden(suggestionList) && current.length > 0;
+          if (!source) {
+            this.changeAttribute(input, 'aria-expanded', visible ? 'true' : 'false', 'autocomplete');
+          }
+          
+          if (input.ownerDocument.activeElement === input && input.value !== '' &&
+              current.length !== lastAnnouncedCount) {
+            lastAnnouncedCount = current.length;
+            this.announce(this.t('autocomplete.suggestions', { count: current.length }), {
+              dedupeKey: `autocomplete-${suggestionList.id}`
+            });
+          }
+        });
+        optionsObserver.observe(suggestionList, {
+          childList: true,
+          subtree: true,
+          attributes: true,
+          attributeFilter: ['hidden', 'style']
+        });
+        this.observers.add(optionsObserver);
         
-        input.addEventListener('keydown', event => {
-          // Handle list navigation
+        // Keyboard interaction from the APG combobox pattern
+        this.addListener(input, 'keydown', event => {
+          const optionElements = getOptions();
+          const activeIndex = optionElements.indexOf(activeOption);
+          
           if (event.key === 'ArrowDown') {
             event.preventDefault();
             
-            // If the list is not expanded, expand it
-            if (input.getAttribute('aria-expanded') !== 'true') {
-              input.setAttribute('aria-expanded', 'true');
-              suggestionList.style.display = '';
+            // If the list is not expanded, expand it; Alt+ArrowDown doesn't move to an option
+            if (!isExpanded()) {
+              expand();
+              if (event.altKey) {
+                return;
+              }
             }
             
             // Move to the next item
-            activeIndex = Math.min(activeIndex + 1, optionElements.length - 1);
-            updateActiveOption();
+            if (optionElements.length > 0) {
+              setActiveOption(optionElements[Math.min(activeIndex + 1, optionElements.length - 1)]);
+            }
           } else if (event.key === 'ArrowUp') {
             event.preventDefault();
             
+            // Alt+ArrowUp closes the list and keeps the typed text
+            if (event.altKey) {
+              collapse();
+              return;
+            }
+            
+            // Open the list on its last option
+            if (!isExpanded()) {
+              expand();
+              setActiveOption(optionElements[optionElements.length - 1] || null);
+              return;
+            }
+            
             // Move to the previous item
-            activeIndex = Math.max(activeIndex - 1, -1);
-            updateActiveOption();
+            setActiveOption(activeIndex > 0 ? optionElements[activeIndex - 1] : null);
             
             // If we moved back to the input, collapse the list
-            if (activeIndex === -1) {
-              input.setAttribute('aria-expanded', 'false');
-              suggestionList.style.display = 'none';
+            if (activeIndex <= 0) {
+              collapse();
+            }
+          } else if ((event.key === 'Home' || event.key === 'End') && activeOption) {
+            // Return to the input, with the caret at the start or the end
+            event.preventDefault();
+            setActiveOption(null);
+            const position = event.key === 'Home' ? 0 : input.value.length;
+            try {
+              input.setSelectionRange(position, position);
+            } catch (error) {
+              // Inputs such as type="email" and type="number" have no selection to move
             }
-          } else if (event.key === 'Enter' && activeIndex >= 0) {
+          } else if ((event.key === 'ArrowLeft' || event.key === 'ArrowRight') && activeOption) {
+            // The caret moves in the input as usual
+            setActiveOption(null);
+          } else if (event.key === 'Enter' && activeOption) {
             event.preventDefault();
             
             // Select the current option
-            const selectedOption = optionElements[activeIndex];
-            input.value = selectedOption.textContent;
+            selectOption(activeOption);
+          } else if (event.key === 'Escape' && isExpanded()) {
+            event.preventDefault();
             
             // Collapse the list
-            input.setAttribute('aria-expanded', 'false');
-            suggestionList.style.display = 'none';
-            activeIndex = -1;
-          } else if (event.key === 'Escape') {
-            // Collapse the list
-            input.setAttribute('aria-expanded', 'false');
-            suggestionList.style.display = 'none';
-            activeIndex = -1;
+            collapse();
           }
         });
         
-        // Update the active option visually and with ARIA
-        const updateActiveOption = () => {
-          optionElements.forEach((option, index) => {
-            if (index === activeIndex) {
-              option.classList.add('active', 'selected');
-              option.setAttribute('aria-selected', 'true');
-              option.scrollIntoView({ block: 'nearest' });
-            } else {
-              option.classList.remove('active', 'selected');
-              option.setAttribute('aria-selected', 'false');
-            }
-          });
-          
-          // Update the active descendant
-          if (activeIndex >= 0) {
-            const activeId = optionElements[activeIndex].id || 
-                            `${listId}-option-${activeIndex}`;
-            optionElements[activeIndex].id = activeId;
-            input.setAttribute('aria-activedescendant', activeId);
-          } else {
-            input.removeAttribute('aria-activedescendant');
-          }
-        };
-        
         // Handle input focus and blur
-        input.addEventListener('focus', () => {
+        this.addListener(input, 'focus', () => {
           // Some autocomplete implementations show the list on focus
           const showOnFocus = input.hasAttribute('data-show-on-focus') || 
                              input.classList.contains('show-on-focus');
           
           if (showOnFocus) {
-            input.setAttribute('aria-expanded', 'true');
-            suggestionList.style.display = '';
+            expand();
           }
         });
         
-        input.addEventListener('blur', event => {
+        this.addListener(input, 'blur', event => {
           // Don't hide the list if focus moved to an option in the list
           if (event.relatedTarget && event.relatedTarget.closest('#' + listId)) {
             return;
           }
           
           // Hide the list after a small delay
-          setTimeout(() => {
-            input.setAttribute('aria-expanded', 'false');
-            suggestionList.style.display = 'none';
-            activeIndex = -1;
+          this.setTimer(() => {
+            collapse();
           }, 150);
         });
         
-        // Handle clicks on options
-        optionElements.forEach((option, index) => {
-          option.addEventListener('click', () => {
-            input.value = option.textContent;
-            input.setAttribute('aria-expanded', 'false');
-            suggestionList.style.display = 'none';
-            activeIndex = -1;
+        // Handle clicks on options, including options rendered later
+        this.addListener(suggestionList, 'click', event => {
+          const option = getOptions().find(candidate => candidate.contains(event.target));
+          if (option) {
+            selectOption(option);
             input.focus();
-          });
-          
-          option.addEventListener('mouseover', () => {
-            activeIndex = index;
-            updateActiveOption();
-          });
+          }
+        });
+        
+        this.addListener(suggestionList, 'mouseover', event => {
+          const option = getOptions().find(candidate => candidate.contains(event.target));
+          if (option && option !== activeOption) {
+            setActiveOption(option);
+          }
         });
       }
     });
@@ -627,6 +778,43 @@ class TabindexManager {
    * @param {boolean} options.fixNegativeTabindex - Whether to fix negative tabindex values (default: true)
    * @param {boolean} options.fixHighTabindex - Whether to fix high tabindex values (default: true)
    * @param {boolean} options.ensureInteractiveElements - Whether to ensure all interactive elements are tabbable (default: true)
+   * @param {boolean} options.logFindings - Whether to log findings to the console as they are recorded (default: true)
+   * @param {boolean} options.dryRun - Record every change as a proposal instead of applying it (default: false)
+   * @param {boolean} options.enableFetchInterception - Whether to process content after fetch() requests complete (default: true)
+   * @param {Object} options.dynamicContentUrlFilters - Request URLs to process: { include: [], exclude: [] } of strings, RegExps or functions
+   * @param {Function} options.resolveUpdatedRegion - Called with (url, xhrOrResponse); returns the element, elements (an array or NodeList) or selector the response updated
+   * @param {number} options.dynamicContentDelay - Delay in milliseconds before processing after a request completes (default: 300)
+   * @param {string} options.mutationProcessing - When to process observed mutations: 'animationFrame' or 'idle' (default: 'animationFrame')
+   * @param {boolean} options.traverseShadowDom - Whether queries, tab order and observation reach into open shadow roots (default: true)
+   * @param {boolean} options.processSameOriginFrames - Whether to fix, analyze, observe and trap focus inside same-origin frames (default: false)
+   * @param {boolean} options.manageCompositeWidgets - Whether to use a roving tabindex in toolbars, tablists, listboxes, menus, grids and trees (default: true)
+   * @param {boolean} options.enhanceTabs - Whether to upgrade ARIA, Bootstrap and jQuery UI tabs to the ARIA tabs pattern (default: true)
+   * @param {string} options.tabActivation - Whether moving to a tab selects it ('automatic') or Enter/Space does ('manual') (default: 'automatic')
+   * @param {boolean} options.enhanceDisclosures - Whether to give accordion and disclosure headers button semantics and state (default: true)
+   * @param {boolean} options.accordionArrowNavigation - Whether ArrowUp/ArrowDown/Home/End move between accordion headers (default: true)
+   * @param {boolean} options.titleTooltips - Whether focusable elements with a title get a tooltip that also shows on focus (default: true)
+   * @param {number} options.tooltipHideDelay - Delay in milliseconds before a tooltip hides, so the pointer can move onto it (default: 300)
+   * @param {number} options.announcementInterval - Minimum time in milliseconds between two announcements (default: 500)
+   * @param {number} options.announcementClearDelay - Time in milliseconds before an announcement is cleared from its live region; 0 keeps it (default: 5000)
+   * @param {string} options.locale - Locale of announcements and generated labels (default: the lang attribute of <html>, or 'en')
+   * @param {Object} options.messages - Message catalogs by locale, e.g. { de: { 'wizard.step': 'Schritt {step} von {total}' } }
+   * @param {string} options.messageCatalogSelector - Script elements holding JSON message catalogs (default: 'script[type="application/json"][data-tabindex-manager-messages]')
+   * @param {boolean} options.handleFormErrors - Whether to link form errors to their fields and provide an error summary (default: true)
+   * @param {boolean} options.addSkipLink - Whether to add a "Skip to main content" link when the page has no skip link (default: false)
+   * @param {boolean} options.skipMenu - Whether to add a skip menu listing the main content, landmarks and top-level headings (default: false)
+   * @param {Array} options.mainContentSelectors - Selectors for the main content region, in order of preference
+   * @param {boolean} options.checkFocusIndicators - Whether to check that focusable elements keep a visible focus indicator (default: true)
+   * @param {boolean} options.injectFocusRing - Whether to give elements without a sufficient focus indicator a fallback focus ring (default: false)
+   * @param {Object} options.focusRingStyles - The fallback focus ring: { color, width, offset } (default: { color: '#005fcc', width: '3px', offset: '2px' })
+   * @param {boolean} options.checkFocusObscured - Whether to report focused elements hidden by fixed or sticky overlays (default: true)
+   * @param {string} options.obscuredFocusHandling - 'report', 'scroll' to scroll the focused element clear, or 'scrollPadding' to also set scroll-padding from the overlays (default: 'report')
+   * @param {boolean} options.checkAccessibleNames - Whether to report tabbable elements without an accessible name (default: true)
+   * @param {boolean} options.fillMissingNames - Whether to give unnamed elements an aria-label from nameSources or iconNames (default: false)
+   * @param {Array} options.nameSources - Attribute names, or functions called with the element, that may hold a missing name (default: ['data-label', 'data-title', 'data-original-title', 'data-bs-original-title'])
+   * @param {Object} options.iconNames - Names (or message keys) by icon class or SVG symbol id, e.g. { 'icon-cart': 'Shopping cart' }; merged with common Font Awesome, Bootstrap and Glyphicons icons
+   * @param {boolean} options.trackEventListeners - Whether to record the listeners scripts add with addEventListener, to tell custom controls apart; this wraps EventTarget.prototype (default: false)
+   * @param {boolean} options.keyboardActivation - Whether Enter and Space activate custom controls that only handle clicks (default: true)
+   * @param {Object} options.rules - Rule modes ('fix', 'warn' or 'off') by rule id, or definitions of custom rules (see registerRule())
    */
   constructor(options = {}) {
     this.container = options.container || 'body';
@@ -639,6 +827,370 @@ class TabindexManager {
     this.returnFocusOnDynamicContentClose = options.returnFocusOnDynamicContentClose !== false;
     this.supportWizardNavigation = options.supportWizardNavigation !== false;
     this.handleTooltipsAndDropdowns = options.handleTooltipsAndDropdowns !== false;
+    this.logFindings = options.logFindings !== false;
+    this.enableFetchInterception = options.enableFetchInterception !== false;
+    this.dynamicContentUrlFilters = options.dynamicContentUrlFilters || {};
+    this.resolveUpdatedRegion = options.resolveUpdatedRegion || null;
+    this.dynamicContentDelay = options.dynamicContentDelay !== undefined ? options.dynamicContentDelay : 300;
+    this.pendingUpdatedRegions = new Set();
+    this.mutationProcessing = options.mutationProcessing || 'animationFrame';
+    this.traverseShadowDom = options.traverseShadowDom !== false;
+    this.processSameOriginFrames = options.processSameOriginFrames === true;
+    this.manageCompositeWidgets = options.manageCompositeWidgets !== false;
+    this.enhanceTabs = options.enhanceTabs !== false;
+    this.tabActivation = options.tabActivation || 'automatic';
+    this.enhanceDisclosures = options.enhanceDisclosures !== false;
+    this.accordionArrowNavigation = options.accordionArrowNavigation !== false;
+    this.titleTooltips = options.titleTooltips !== false;
+    this.tooltipHideDelay = options.tooltipHideDelay !== undefined ? options.tooltipHideDelay : 300;
+    this.announcementInterval = options.announcementInterval !== undefined ? options.announcementInterval : 500;
+    this.announcementClearDelay = options.announcementClearDelay !== undefined ? options.announcementClearDelay : 5000;
+    this.locale = options.locale || null;
+    this.handleFormErrors = options.handleFormErrors !== false;
+    this.addSkipLink = options.addSkipLink === true;
+    this.skipMenu = options.skipMenu === true;
+    this.mainContentSelectors = options.mainContentSelectors ||
+      ['main', '[role="main"]', '#main', '#main-content', '#content', '.main-content'];
+    this.checkFocusIndicators = options.checkFocusIndicators !== false;
+    this.injectFocusRing = options.injectFocusRing === true;
+    this.focusRingStyles = Object.assign({ color: '#005fcc', width: '3px', offset: '2px' }, options.focusRingStyles);
+    
+    // Canvas context that resolves named colors, created on first use
+    this.colorContext = undefined;
+    this.checkFocusObscured = options.checkFocusObscured !== false;
+    this.obscuredFocusHandling = options.obscuredFocusHandling || 'report';
+    
+    // Fixed and sticky elements, found again after mutations or a resize, the scroll padding last
+    // written, and the elements already reported as obscured
+    this.overlayCandidates = null;
+    this.scrollPaddingValues = null;
+    this.obscuredFocusReports = new WeakSet();
+    this.obscuredFocusHandler = null;
+    this.checkAccessibleNames = options.checkAccessibleNames !== false;
+    this.fillMissingNames = options.fillMissingNames === true;
+    this.nameSources = options.nameSources || ['data-label', 'data-title', 'data-original-title', 'data-bs-original-title'];
+    this.iconNames = Object.assign({}, TabindexManager.defaultIconNames, options.iconNames);
+    
+    // Elements already reported without a name, so dynamic content processing doesn't repeat them
+    this.missingNameReports = new WeakSet();
+    this.trackEventListeners = options.trackEventListeners === true;
+    this.keyboardActivation = options.keyboardActivation !== false;
+    
+    // The document's keyboard activation listener, the control waiting for Space to be released, and the reported controls
+    this.keyboardActivationHandler = null;
+    this.pendingSpaceActivation = null;
+    this.keyboardActivationReports = new WeakSet();
+    
+    // Whether this manager counts as a user of the shared listener registry
+    this.usesListenerRegistry = false;
+    if (this.trackEventListeners) {
+      this.setupListenerRegistry();
+    }
+    this.messageCatalogSelector = options.messageCatalogSelector ||
+      'script[type="application/json"][data-tabindex-manager-messages]';
+    
+    // State for batched mutation processing
+    this.pendingMutationRoots = new Set();
+    this.mutationProcessingHandle = null;
+    this.ownAttributeWrites = new WeakMap();
+    this.ownInsertedElements = new WeakSet();
+    this.mutationObserverOptions = null;
+    this.observedRoots = new WeakSet();
+    this.watchedFrames = new WeakSet();
+    this.queryScopeCache = null;
+    
+    // Roving tabindex state for each managed composite widget
+    this.compositeWidgets = new WeakMap();
+    this.tabWidgets = new WeakMap();
+    
+    // Disclosure state, by header and by panel
+    this.disclosureWidgets = new WeakMap();
+    this.disclosurePanels = new WeakMap();
+    
+    // Tooltip state by trigger, and the tooltips that are showing
+    this.tooltipWidgets = new WeakMap();
+    this.visibleTooltips = new Set();
+    this.tooltipEscapeHandler = null;
+    
+    // Error state of each form: its summary and the fields the manager marked invalid. Forms
+    // waiting for the response to a submit, and the error selectors JSP forms add.
+    this.formErrorStates = new WeakMap();
+    this.pendingFormSubmits = new Set();
+    this.jspErrorSelectors = new WeakMap();
+    
+    // Skip links on the page, and the broken links and pages without one already reported
+    this.skipLinks = new WeakSet();
+    this.skipLinkClickHandler = null;
+    this.skipLinkReports = new WeakSet();
+    
+    // Elements whose tabindex="-1" is meant: set by the manager, or focused by script. Focus
+    // that follows a pointer or key press comes from the user instead.
+    this.intentionalTabindex = new WeakSet();
+    this.programmaticFocusHandler = null;
+    this.lastUserInputTime = 0;
+    
+    // Menu and menubar state, and the menus that are currently open
+    this.menuWidgets = new WeakMap();
+    this.openMenus = new Set();
+    this.menuOutsideClickHandler = null;
+    
+    // Live regions used by announce(), and the messages waiting to be announced
+    this.liveRegions = {};
+    this.liveRegionClearTimers = {};
+    this.announcementQueue = [];
+    this.announcementTimer = null;
+    
+    // Message catalogs by lowercase locale; catalogs embedded in the page are read on first use
+    this.messageCatalogs = {};
+    this.embeddedCatalogsLoaded = false;
+    Object.keys(TabindexManager.defaultMessages).forEach(locale => {
+      this.loadMessages(locale, TabindexManager.defaultMessages[locale]);
+    });
+    Object.keys(options.messages || {}).forEach(locale => {
+      this.loadMessages(locale, options.messages[locale]);
+    });
+    this.processingStats = {
+      batches: 0,
+      roots: 0,
+      mutations: 0,
+      lastDuration: 0,
+      totalDuration: 0,
+      maxDuration: 0
+    };
+    
+    // Findings recorded by the fix methods, the report-only ones by element, and whether changes are only reported
+    this.findings = [];
+    this.reportedFindings = new WeakMap();
+    this.dryRun = options.dryRun === true;
+    this.reportOnly = this.dryRun;
+    
+    // Every change made (or proposed in dry-run mode) to the page, in order, and the entry
+    // each element's attributes, classes and styles last got from each source
+    this.changeJournal = [];
+    this.changeCounter = 0;
+    this.journalEntries = new WeakMap();
+    
+    // Resources that destroy() releases
+    this.listeners = [];
+    this.observers = new Set();
+    this.timers = new Set();
+    this.activeFocusTraps = new Set();
+    this.originalXhrMethods = null;
+    this.originalFetch = null;
+    this.dynamicContentHandlersInstalled = false;
+    this.destroyed = false;
+    
+    // Markers set on elements once they have been processed
+    this.processedMarkers = [
+      'data-accessibility-processed',
+      'data-wizard-processed',
+      'data-autocomplete-processed',
+      'data-tooltip-keyboard-handled',
+      'data-dropdown-keyboard-handled',
+      'data-focus-trap-active'
+    ];
+    
+    // Properties stored on elements to keep component state
+    this.elementStateProperties = [
+      '_wizardState',
+      '_removeFocusTrap',
+      '_focusTrapActive'
+    ];
+    
+    // Rules that findings are reported against, with their WCAG mapping
+    this.rules = {
+      'negative-tabindex': {
+        name: 'Interactive element removed from tab order',
+        wcag: '2.1.1',
+        severity: 'error',
+        description: 'Interactive elements should not have tabindex="-1" unless they are hidden'
+      },
+      'positive-tabindex': {
+        name: 'Positive tabindex value',
+        wcag: '2.4.3',
+        severity: 'warning',
+        description: 'Tabindex values greater than 0 disrupt the natural tab order'
+      },
+      'missing-tabindex': {
+        name: 'Interactive element not focusable',
+        wcag: '2.1.1',
+        severity: 'error',
+        description: 'Custom interactive elements need tabindex="0" to be reachable by keyboard'
+      },
+      'unnecessary-tabindex': {
+        name: 'Unnecessary tabindex on non-interactive element',
+        wcag: '2.4.3',
+        severity: 'info',
+        description: 'Non-interactive elements should not be in the tab order'
+      },
+      'composite-tab-stops': {
+        name: 'Composite widget without a single tab stop',
+        wcag: '2.1.1',
+        severity: 'warning',
+        description: 'A composite widget should be one tab stop, with arrow keys moving between its items'
+      },
+      'tabs-missing-roles': {
+        name: 'Tabs without tab roles',
+        wcag: '4.1.2',
+        severity: 'error',
+        description: 'Tab markup should use the tablist, tab and tabpanel roles'
+      },
+      'tab-missing-panel': {
+        name: 'Tab not linked to its panel',
+        wcag: '1.3.1',
+        severity: 'error',
+        description: 'Each tab should reference its tabpanel with aria-controls'
+      },
+      'tabpanel-missing-label': {
+        name: 'Tab panel without a label',
+        wcag: '1.3.1',
+        severity: 'warning',
+        description: 'Each tabpanel should be labelled by its tab with aria-labelledby'
+      },
+      'tab-selection': {
+        name: 'Tablist without exactly one selected tab',
+        wcag: '4.1.2',
+        severity: 'error',
+        description: 'Exactly one tab in a tablist should have aria-selected="true"'
+      },
+      'disclosure-semantics': {
+        name: 'Disclosure header without button semantics',
+        wcag: '4.1.2',
+        severity: 'error',
+        description: 'Accordion and disclosure headers need role="button", aria-controls and aria-expanded'
+      },
+      'collapsed-content-focusable': {
+        name: 'Focusable content in a collapsed panel',
+        wcag: '2.4.3',
+        severity: 'warning',
+        description: 'Content inside a collapsed panel should not be reachable with the Tab key'
+      },
+      'form-error-association': {
+        name: 'Error message not linked to its field',
+        wcag: '3.3.1',
+        severity: 'error',
+        description: 'Fields with an error need aria-invalid="true" and aria-describedby referencing the error message'
+      },
+      'skip-link-missing': {
+        name: 'No skip link to the main content',
+        wcag: '2.4.1',
+        severity: 'warning',
+        description: 'Pages should start with a link that skips repeated content and moves focus to the main content'
+      },
+      'skip-link-target': {
+        name: 'Skip link with a broken target',
+        wcag: '2.4.1',
+        severity: 'error',
+        description: 'A skip link must point to an element that exists and is visible'
+      },
+      'focus-indicator-missing': {
+        name: 'Focus indicator removed',
+        wcag: '2.4.7',
+        severity: 'error',
+        description: 'Styles that remove the focus outline must replace it with another visible indicator'
+      },
+      'focus-obscured': {
+        name: 'Focused element hidden by an overlay',
+        wcag: '2.4.11',
+        severity: 'error',
+        description: 'A focused element should not be hidden by sticky headers, fixed banners or other content the page positions over it'
+      },
+      'click-only-control': {
+        name: 'Custom control that only responds to clicks',
+        wcag: '2.1.1',
+        severity: 'error',
+        description: 'Custom buttons, links, checkboxes, radios and switches must respond to Enter or Space as well as to clicks'
+      },
+      'missing-accessible-name': {
+        name: 'Focusable element without an accessible name',
+        wcag: '4.1.2',
+        severity: 'error',
+        description: 'Buttons, links and other focusable controls need a name from their content, a label, aria-label or aria-labelledby'
+      },
+      'focus-indicator-appearance': {
+        name: 'Focus indicator too small or low in contrast',
+        wcag: '2.4.13',
+        severity: 'warning',
+        description: 'A focus indicator should be at least as large as a 2px perimeter and have a 3:1 contrast between its focused and unfocused states'
+      }
+    };
+    
+    // Existing skip links, and the landmarks and headings a skip menu lists
+    this.skipLinkSelector = 'a[href^="#"]';
+    this.skipMenuLandmarkSelector = 'nav, [role="navigation"], [role="search"], aside, [role="complementary"], ' +
+      'header, [role="banner"], footer, [role="contentinfo"]';
+    this.skipMenuHeadingSelector = 'h1, h2';
+    
+    // The keys that activate each role of custom control, as they do the native element
+    this.keyboardActivationKeys = {
+      button: ['Enter', ' '],
+      link: ['Enter'],
+      checkbox: [' '],
+      radio: [' '],
+      switch: [' ']
+    };
+    
+    // Roles that take their accessible name from their content
+    this.nameFromContentRoles = ['button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link',
+      'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch', 'tab',
+      'tooltip', 'treeitem'];
+    
+    // Field error messages (Spring, Struts, Bootstrap, jQuery Validate and custom markup) and error summaries
+    this.formErrorSelector = '.error-message, .validation-error, .field-error, .invalid-feedback, .help-block.error, ' +
+      'span.error, label.error, [id$=".errors"], [data-error-for]';
+    this.formErrorSummarySelector = '.error-summary, .validation-summary, .validation-summary-errors, ' +
+      '.actionError, [data-error-summary]';
+    
+    // Form fields, fields the page marks as invalid, and the wrappers that group a field with its message
+    this.formFieldSelector = 'input:not([type="hidden"]), select, textarea, [role="textbox"], [role="combobox"]';
+    this.invalidFieldSelector = '.has-error input, .has-error select, .has-error textarea, input.error, ' +
+      'select.error, textarea.error, .is-invalid';
+    this.formFieldGroupSelector = '.form-group, .form-field, .field, .control-group, .has-error, .mb-3';
+    
+    // Menu buttons and dropdown toggles, and the elements that are items of their menus
+    this.menuTriggerSelector = '.dropdown-toggle, [data-toggle="dropdown"], [data-bs-toggle="dropdown"], ' +
+      '[aria-haspopup="true"], [aria-haspopup="menu"], .has-dropdown > a';
+    this.menuItemSelector = '[role^="menuitem"], .dropdown-item, li > a, li > button';
+    
+    // Tooltip triggers: explicit ones, ones linked to a tooltip, and focusable elements with a title
+    this.tooltipTriggerSelector = '[data-tooltip], [data-toggle="tooltip"], [data-bs-toggle="tooltip"], ' +
+      '.tooltip-trigger, [aria-describedby], [data-tooltip-id], a[href][title], button[title], ' +
+      'input[title], select[title], textarea[title], [role="button"][title], [tabindex][title]';
+    
+    // Accordion and disclosure headers, and the panels that follow them
+    this.disclosureSelector = '.accordion-header, .accordion-button, .accordion-toggle, .accordion-title, ' +
+      '.collapsible-header, [data-toggle="collapse"], [data-bs-toggle="collapse"]';
+    this.disclosurePanelSelector = '.accordion-collapse, .accordion-content, .accordion-body, .accordion-panel, ' +
+      '.collapse, .panel-collapse, .collapsible-body, .collapsible-content';
+    
+    // Tablists: ARIA markup, Bootstrap nav tabs and pills, and jQuery UI tab navs
+    this.tablistSelector = '[role="tablist"], .nav-tabs, .nav-pills, .ui-tabs-nav';
+    
+    // Composite widget roles, the items each one manages and how arrow keys move between them
+    this.compositeRoles = {
+      toolbar: {
+        items: 'button:not([disabled]), a[href], input:not([disabled]):not([type="hidden"]), select:not([disabled]), ' +
+          'textarea:not([disabled]), [role="button"], [role="checkbox"], [role="link"], [role="radio"], [role="switch"]',
+        orientation: 'horizontal',
+        wrap: true
+      },
+      tablist: { items: '[role="tab"]', orientation: 'horizontal', wrap: true },
+      radiogroup: { items: '[role="radio"]', orientation: 'both', wrap: true, selectionFollowsFocus: true },
+      listbox: { items: '[role="option"]', orientation: 'vertical', wrap: false },
+      menu: {
+        items: '[role="menuitem"], [role="menuitemcheckbox"], [role="menuitemradio"]',
+        orientation: 'vertical',
+        wrap: true
+      },
+      menubar: {
+        items: '[role="menuitem"], [role="menuitemcheckbox"], [role="menuitemradio"]',
+        orientation: 'horizontal',
+        wrap: true
+      },
+      grid: { items: '[role="gridcell"], [role="columnheader"], [role="rowheader"]', orientation: 'grid', wrap: false },
+      treegrid: { items: '[role="gridcell"], [role="columnheader"], [role="rowheader"]', orientation: 'grid', wrap: false },
+      tree: { items: '[role="treeitem"]', orientation: 'vertical', wrap: false }
+    };
     
     // Selectors for interactive elements that should be keyboard accessible
     this.interactiveSelectors = [
@@ -659,7 +1211,6 @@ class TabindexManager {
       // Additional selectors for complex UI components
       '[role="dialog"]',
       '[role="alertdialog"]',
-      '[role="tooltip"]',
       '[role="navigation"]',
       '[role="menu"]',
       '[role="tablist"]',
@@ -684,31 +1235,57 @@ class TabindexManager {
       'h5[tabindex]',
       'h6[tabindex]'
     ];
+    
+    // Every check and fix is a rule; the options above set their default modes
+    this.ruleOrder = [];
+    this.activeRule = null;
+    
+    // Change sources that belong to a rule with another id
+    this.changeSourceRules = {
+      disclosure: 'disclosures',
+      'focus-indicator': 'focus-indicators',
+      'form-errors': 'form-error-association',
+      menu: 'menus',
+      'roving-tabindex': 'composite-tab-stops',
+      tooltip: 'tooltips'
+    };
+    
+    // Findings recorded by a rule with another id; a region's mode for that rule covers them too
+    this.findingRules = {
+      'focus-indicator-missing': 'focus-indicators',
+      'focus-indicator-appearance': 'focus-indicators'
+    };
+    
+    // Regions the markup ignores or sets rule modes for
+    this.markupOverrideSelector = '[data-tabindex-manager], [data-tabindex-manager-rules]';
+    this.registerBuiltInRules();
+    Object.keys(options.rules || {}).forEach(id => {
+      if (typeof options.rules[id] === 'string') {
+        this.setRuleMode(id, options.rules[id]);
+      } else {
+        this.registerRule(id, options.rules[id]);
+      }
+    });
   }
 
   /**
    * Start fixing tabindex issues
    */
   fix() {
+    if (this.destroyed) {
+      console.warn('TabindexManager was destroyed; create a new instance instead of reusing it');
+      return;
+    }
+    
     const container = document.querySelector(this.container);
     if (!container) {
       console.error(`Container ${this.container} not found`);
       return;
     }
 
-    if (this.fixNegativeTabindex) {
-      this.fixNegativeTabindexValues(container);
-    }
-    
-    if (this.fixHighTabindex) {
-      this.fixHighTabindexValues(container);
-    }
-    
-    if (this.ensureInteractiveElements) {
-      this.makeInteractiveElementsTabbable(container);
-    }
+    // Run the built-in and registered rules that aren't off
+    this.runRules(container, 'fix');
     
-    this.validateNonInteractiveElements(container);
     this.analyzeTabOrder(container);
     
     // Set up observers for dynamic content if enabled
@@ -721,816 +1298,6802 @@ class TabindexManager {
       this.setupDynamicContentHandlers();
     }
     
-    // Setup wizard navigation support if enabled
-    if (this.supportWizardNavigation) {
-      this.setupWizardNavigationSupport(container);
-    }
-    
-    // Setup handlers for tooltips and dropdowns if enabled
-    if (this.handleTooltipsAndDropdowns) {
-      this.setupTooltipAndDropdownHandlers(container);
+    // Process same-origin frames when they (re)load
+    if (this.processSameOriginFrames) {
+      this.setupFrameHandling(container);
     }
   }
 
   /**
-   * Fix elements with negative tabindex values
-   * @param {Element} container - The container element
+   * Register the built-in checks and fixes as rules, in the order they run
+   *
+   * Widgets come first, so the tabindex rules leave their items alone. Turning off
+   * fixNegativeTabindex, fixHighTabindex or ensureInteractiveElements puts their
+   * rule in 'warn' mode, so audits still report them; the other options turn their
+   * rules 'off'.
    */
-  fixNegativeTabindexValues(container) {
-    const elements = container.querySelectorAll('[tabindex="-1"]');
-    elements.forEach(element => {
-      // Only fix if it's an interactive element that should be tabbable
-      if (this.isInteractiveElement(element) && !this.shouldBeRemovedFromTabOrder(element)) {
-        element.setAttribute('tabindex', '0');
-        console.log('Fixed negative tabindex on element:', element);
+  registerBuiltInRules() {
+    const mode = (enabled, disabledMode = 'off') => (enabled ? 'fix' : disabledMode);
+    
+    this.registerRule('tabs', {
+      name: 'Tabs pattern',
+      wcag: '4.1.2',
+      description: 'Tablists get tab roles, linked panels, selection state and arrow key navigation',
+      mode: mode(this.enhanceTabs),
+      run: context => {
+        if (context.setup) {
+          this.setupTabs(context.container);
+        } else {
+          this.getTablists(context.container).forEach(tablist => this.syncTabs(tablist));
+        }
       }
     });
-  }
-
-  /**
-   * Fix elements with high tabindex values (greater than 0)
-   * @param {Element} container - The container element
-   */
-  fixHighTabindexValues(container) {
-    const elements = container.querySelectorAll('[tabindex]');
-    elements.forEach(element => {
-      const tabindex = parseInt(element.getAttribute('tabindex'), 10);
-      if (tabindex > 0) {
-        element.setAttribute('tabindex', '0');
-        console.log('Fixed high tabindex on element:', element);
+    this.registerRule('disclosures', {
+      name: 'Accordions and disclosures',
+      wcag: '4.1.2',
+      description: 'Accordion and disclosure headers get button semantics, aria-expanded and keyboard support',
+      mode: mode(this.enhanceDisclosures),
+      run: context => {
+        if (context.setup) {
+          this.setupDisclosures(context.container);
+          return;
+        }
+        this.getDisclosureControls(context.container).forEach(control => {
+          const panel = this.getDisclosurePanel(control);
+          if (panel) {
+            this.syncDisclosure(control, panel, true);
+          }
+        });
       }
     });
-  }
-
-  /**
-   * Ensure all interactive elements are tabbable
-   * @param {Element} container - The container element
-   */
-  makeInteractiveElementsTabbable(container) {
-    const selector = this.interactiveSelectors.join(',');
-    const elements = container.querySelectorAll(selector);
-    
-    elements.forEach(element => {
-      // Skip if the element is hidden or has a parent that's hidden
-      if (this.isVisuallyHidden(element) || this.hasHiddenParent(element)) {
-        return;
+    this.registerRule('composite-tab-stops', {
+      mode: mode(this.manageCompositeWidgets),
+      run: context => {
+        if (context.setup) {
+          this.setupRovingTabindex(context.container);
+        } else {
+          this.getCompositeWidgets(context.container).forEach(composite => this.syncRovingTabindex(composite));
+        }
       }
-      
-      // If element doesn't have a tabindex, add tabindex="0"
-      if (!element.hasAttribute('tabindex')) {
-        element.setAttribute('tabindex', '0');
+    });
+    this.registerRule('negative-tabindex', {
+      mode: mode(this.fixNegativeTabindex, 'warn'),
+      run: context => {
+        if (context.setup) {
+          this.setupProgrammaticFocusTracking();
+        }
+        this.fixNegativeTabindexValues(context.container);
+      }
+    });
+    this.registerRule('positive-tabindex', {
+      mode: mode(this.fixHighTabindex, 'warn'),
+      run: context => this.fixHighTabindexValues(context.container)
+    });
+    this.registerRule('missing-tabindex', {
+      mode: mode(this.ensureInteractiveElements, 'warn'),
+      run: context => this.makeInteractiveElementsTabbable(context.container)
+    });
+    this.registerRule('unnecessary-tabindex', {
+      run: context => this.validateNonInteractiveElements(context.container)
+    });
+    this.registerRule('missing-accessible-name', {
+      mode: mode(this.checkAccessibleNames),
+      run: context => this.checkMissingNames(context.container)
+    });
+    this.registerRule('click-only-control', {
+      mode: mode(this.keyboardActivation),
+      run: context => {
+        if (context.setup) {
+          this.setupKeyboardActivation(context.container);
+        } else {
+          this.checkKeyboardActivation(context.container);
+        }
+      }
+    });
+    this.registerRule('form-error-association', {
+      mode: mode(this.handleFormErrors),
+      run: context => {
+        if (context.setup) {
+          this.setupFormErrors(context.container);
+        } else {
+          this.getForms(context.container).forEach(form => this.syncFormErrors(form));
+        }
+      }
+    });
+    this.registerRule('skip-links', {
+      name: 'Skip links',
+      wcag: '2.4.1',
+      description: 'Skip links are validated, and added when addSkipLink or skipMenu is set',
+      phases: ['fix', 'audit'],
+      run: context => {
+        if (context.setup) {
+          this.setupSkipLinks();
+        } else {
+          this.syncSkipLinks();
+        }
+      }
+    });
+    this.registerRule('focus-indicators', {
+      name: 'Focus indicators',
+      wcag: '2.4.7',
+      description: 'Focus styles are checked for removed, small or low-contrast indicators',
+      mode: mode(this.checkFocusIndicators),
+      phases: ['fix', 'audit'],
+      run: context => this.checkFocusIndicatorStyles(context.container)
+    });
+    this.registerRule('focus-obscured', {
+      mode: mode(this.checkFocusObscured),
+      phases: ['fix'],
+      run: context => {
+        if (context.setup) {
+          this.setupObscuredFocusHandling();
+        }
+      }
+    });
+    this.registerRule('wizard-navigation', {
+      name: 'Wizard navigation',
+      wcag: '2.4.3',
+      description: 'Focus moves to the content of each new wizard step',
+      mode: mode(this.supportWizardNavigation),
+      phases: ['fix'],
+      run: context => {
+        if (context.setup) {
+          this.setupWizardNavigationSupport(context.container);
+        }
+      }
+    });
+    this.registerRule('tooltips', {
+      name: 'Tooltips',
+      wcag: '1.4.13',
+      description: 'Tooltips show on hover and focus, stay while hovered and close with Escape',
+      mode: mode(this.handleTooltipsAndDropdowns),
+      phases: ['fix', 'dynamic'],
+      run: context => {
+        if (context.setup) {
+          this.setupTooltips(context.container);
+        }
+      }
+    });
+    this.registerRule('menus', {
+      name: 'Menus and menubars',
+      wcag: '2.1.1',
+      description: 'Dropdown menus and menubars get the ARIA menu button and menubar patterns',
+      mode: mode(this.handleTooltipsAndDropdowns),
+      phases: ['fix', 'dynamic'],
+      run: context => {
+        if (context.setup) {
+          this.setupMenus(context.container);
+        }
+      }
+    });
+    this.registerRule('dialogs', {
+      name: 'Dialog focus traps',
+      wcag: '2.4.3',
+      description: 'Dialogs in new content trap focus and return it when they close',
+      phases: ['dynamic'],
+      run: context => {
+        if (context.setup) {
+          this.detectAndHandleDialogs(context.container);
+        }
       }
     });
   }
 
   /**
-   * Check if an element should be considered interactive
-   * @param {Element} element - The element to check
-   * @returns {boolean} - Whether the element is interactive
+   * Add a rule, or change a built-in one
+   *
+   * A rule with a run function is called by fix(), processDynamicContent() and
+   * audit() (or the phases it lists) with the context from createRuleContext().
+   * Rules without one describe findings another rule records.
+   * @param {string} id - The rule id, used in findings and data-tabindex-manager-rules
+   * @param {Object} definition - { name, wcag, severity, description, mode, phases, run }
+   * @returns {Object} - The rule
    */
-  isInteractiveElement(element) {
-    // Check if the element matches any of our interactive selectors
-    return this.interactiveSelectors.some(selector => 
-      element.matches(selector)
-    );
+  registerRule(id, definition) {
+    const rule = Object.assign({ severity: 'warning', mode: 'fix', phases: ['fix', 'dynamic', 'audit'] },
+      this.rules[id], definition);
+    if (!['fix', 'warn', 'off'].includes(rule.mode)) {
+      console.warn(`Unknown mode "${rule.mode}" for rule ${id}, using "fix"`);
+      rule.mode = 'fix';
+    }
+    
+    this.rules[id] = rule;
+    if (typeof rule.run === 'function' && !this.ruleOrder.includes(id)) {
+      this.ruleOrder.push(id);
+    }
+    return rule;
   }
 
   /**
-   * Check if an element should be removed from the tab order
-   * @param {Element} element - The element to check
-   * @returns {boolean} - Whether the element should be removed from tab order
+   * Change the mode of a rule
+   * @param {string} id - The rule id
+   * @param {string} mode - 'fix' to apply its changes, 'warn' to only report them, or 'off'
    */
-  shouldBeRemovedFromTabOrder(element) {
-    // Hidden elements should be removed from tab order
-    if (this.isVisuallyHidden(element) || this.hasHiddenParent(element)) {
-      return true;
+  setRuleMode(id, mode) {
+    if (!this.rules[id]) {
+      console.warn(`Unknown rule ${id}`);
+      return;
     }
-    
-    // Elements with aria-hidden="true" should be removed
-    if (element.getAttribute('aria-hidden') === 'true') {
-      return true;
+    if (!['fix', 'warn', 'off'].includes(mode)) {
+      console.warn(`Unknown mode "${mode}" for rule ${id}`);
+      return;
     }
-    
-    return false;
+    this.rules[id].mode = mode;
   }
 
   /**
-   * Check if an element is visually hidden
-   * @param {Element} element - The element to check
-   * @returns {boolean} - Whether the element is visually hidden
+   * Get the mode of a rule, for the page or for one element
+   *
+   * A region's data-tabindex-manager-rules can only turn a rule down: from 'fix' to
+   * 'warn' or 'off', or from 'warn' to 'off'. Every rule is off in ignored regions.
+   * The mode a region sets for a rule also applies to the findings in findingRules.
+   * @param {string} id - The rule id
+   * @param {Element} element - The element the rule would change or report (optional)
+   * @returns {string} - 'fix', 'warn' or 'off'
    */
-  isVisuallyHidden(element) {
-    const style = window.getComputedStyle(element);
-    return style.display === 'none' || 
-           style.visibility === 'hidden' || 
-           style.opacity === '0' ||
-           (style.position === 'absolute' && 
-            (style.width === '1px' || style.height === '1px') && 
-            style.overflow === 'hidden');
+  getRuleMode(id, element) {
+    const rule = this.rules[id];
+    const mode = (rule && rule.mode) || 'fix';
+    if (!element) {
+      return mode;
+    }
+    
+    const overrides = this.getMarkupOverrides(element);
+    if (overrides.ignored) {
+      return 'off';
+    }
+    const levels = ['fix', 'warn', 'off'];
+    const regionMode = overrides.rules[id] || overrides.rules[this.findingRules[id]];
+    return regionMode && levels.indexOf(regionMode) > levels.indexOf(mode) ? regionMode : mode;
   }
 
   /**
-   * Check if an element has a hidden parent
-   * @param {Element} element - The element to check
-   * @returns {boolean} - Whether the element has a hidden parent
+   * Read the overrides the markup sets for an element and its ancestors
+   *
+   * data-tabindex-manager="ignore" excludes a subtree from every rule's checks and
+   * changes. data-tabindex-manager-rules="unnecessary-tabindex:off, tooltips:warn"
+   * sets rule modes for a region; the nearest region that names a rule wins.
+   * Regions reach into shadow roots and same-origin frames.
+   * @param {Element} element - The element
+   * @returns {Object} - { ignored, rules } with the mode of each rule a region names
    */
-  hasHiddenParent(element) {
-    let parent = element.parentElement;
-    while (parent) {
-      if (this.isVisuallyHidden(parent) || parent.getAttribute('aria-hidden') === 'true') {
-        return true;
+  getMarkupOverrides(element) {
+    const overrides = { ignored: false, rules: {} };
+    let current = element;
+    
+    while (current && !overrides.ignored) {
+      const region = current.closest(this.markupOverrideSelector);
+      if (!region) {
+        // Continue from the shadow host or the frame element
+        const root = current.getRootNode();
+        const view = root.defaultView;
+        current = root.host || (view && view !== window && view.frameElement) || null;
+        continue;
       }
-      parent = parent.parentElement;
+      
+      overrides.ignored = region.getAttribute('data-tabindex-manager') === 'ignore';
+      (region.getAttribute('data-tabindex-manager-rules') || '').split(/[\s,;]+/).forEach(entry => {
+        const [id, mode] = entry.split(/[:=]/);
+        if (id && ['fix', 'warn', 'off'].includes(mode) && !overrides.rules[id]) {
+          overrides.rules[id] = mode;
+        }
+      });
+      current = region.parentElement || region.getRootNode().host || null;
     }
-    return false;
+    
+    return overrides;
   }
 
   /**
-   * Validate that non-interactive elements don't have unnecessary tabindex
+   * Run the rules for a phase over a container
+   *
+   * Rules in 'warn' mode run report-only, like audit(): their changes are recorded
+   * as proposals and their findings aren't applied. A rule that throws is logged and
+   * the others still run.
    * @param {Element} container - The container element
+   * @param {string} phase - 'fix', 'dynamic' (processDynamicContent) or 'audit'
    */
-  validateNonInteractiveElements(container) {
-    const selector = this.nonInteractiveWithTabindex.join(',');
-    const elements = container.querySelectorAll(selector);
+  runRules(container, phase) {
+    // Nested scopes are looked up once per pass
+    const previousScopeCache = this.queryScopeCache;
+    this.queryScopeCache = previousScopeCache || new Map();
     
-    elements.forEach(element => {
-      const tabindex = parseInt(element.getAttribute('tabindex'), 10);
+    this.ruleOrder.forEach(id => {
+      const rule = this.rules[id];
+      const mode = this.getRuleMode(id);
+      if (mode === 'off' || !rule.phases.includes(phase)) {
+        return;
+      }
       
-      // If the element has a tabindex but no role, check if it's necessary
-      if (tabindex >= 0 && !element.hasAttribute('role')) {
-        // Check if it has keyboard event listeners
-        const hasKeyboardEvents = this.hasKeyboardEventListeners(element);
-        
-        if (!hasKeyboardEvents) {
-          console.warn('Non-interactive element has unnecessary tabindex:', element);
-          element.removeAttribute('tabindex');
-        }
+      const previousReportOnly = this.reportOnly;
+      this.reportOnly = previousReportOnly || mode === 'warn';
+      this.activeRule = id;
+      try {
+        rule.run.call(this, this.createRuleContext(id, container, phase, mode));
+      } catch (error) {
+        console.error(`Rule ${id} failed:`, error);
+      } finally {
+        this.reportOnly = previousReportOnly;
+        this.activeRule = null;
       }
     });
+    
+    this.queryScopeCache = previousScopeCache;
   }
 
   /**
-   * Check if an element has keyboard event listeners
-   * @param {Element} element - The element to check
-   * @returns {boolean} - Whether the element has keyboard event listeners
+   * Create the context a rule runs with
+   * @param {string} id - The rule id
+   * @param {Element} container - The container being processed
+   * @param {string} phase - 'fix', 'dynamic' or 'audit'
+   * @param {string} mode - 'fix' or 'warn'
+   * @returns {Object} - The container, phase and mode; setup, true when the rule may add listeners and
+   *   observers; reportOnly; and queryAll, report and changeAttribute helpers bound to the rule
    */
-  hasKeyboardEventListeners(element) {
-    // This is a simplistic check and won't catch all cases,
-    // especially for listeners added via frameworks
-    return element.hasAttribute('onkeydown') || 
-           element.hasAttribute('onkeyup') || 
-           element.hasAttribute('onkeypress');
+  createRuleContext(id, container, phase, mode) {
+    return {
+      rule: id,
+      manager: this,
+      container,
+      phase,
+      mode,
+      setup: phase !== 'audit' && mode === 'fix',
+      reportOnly: this.reportOnly,
+      queryAll: selector => this.queryAll(container, selector),
+      report: (element, details) => this.recordFinding(id, element, details),
+      changeAttribute: (element, name, value) => this.changeAttribute(element, name, value, id)
+    };
   }
 
   /**
-   * Analyze and report on the tab order of the page
-   * @param {Element} container - The container element
+   * Add an event listener that destroy() will remove
+   * @param {EventTarget} target - The target to listen on
+   * @param {string} type - The event type
+   * @param {Function} handler - The event handler
+   * @param {Object|boolean} options - Options passed to addEventListener
+   * @returns {Function} - The handler, for use with removeListener()
    */
-  analyzeTabOrder(container) {
-    const tabbableElements = [];
-    
-    // Get all elements with tabindex
-    const elementsWithTabindex = container.querySelectorAll('[tabindex]');
-    elementsWithTabindex.forEach(element => {
-      const tabindex = parseInt(element.getAttribute('tabindex'), 10);
-      if (tabindex >= 0 && !this.shouldBeRemovedFromTabOrder(element)) {
-        tabbableElements.push({
-          element,
-          tabindex
-        });
-      }
-    });
-    
-    // Get all naturally tabbable elements
-    const selector = this.interactiveSelectors.join(',');
-    const naturallyTabbable = container.querySelectorAll(selector);
-    naturallyTabbable.forEach(element => {
-      if (!element.hasAttribute('tabindex') && !this.shouldBeRemovedFromTabOrder(element)) {
-        tabbableElements.push({
-          element,
-          tabindex: 0
-        });
-      }
-    });
+  addListener(target, type, handler, options) {
+    // Nothing is added once the manager is destroyed, since destroy() won't run again to remove it
+    if (this.destroyed) {
+      return handler;
+    }
     
-    // Sort by tabindex
-    tabbableElements.sort((a, b) => {
-      // Elements with tabindex > 0 come first, in ascending order
-      if (a.tabindex > 0 && b.tabindex > 0) {
-        return a.tabindex - b.tabindex;
-      }
-      
-      // Elements with tabindex > 0 come before elements with tabindex = 0
-      if (a.tabindex > 0) {
-        return -1;
-      }
-      if (b.tabindex > 0) {
-        return 1;
+    // The listener registry only records the page's own listeners
+    TabindexManager.listenerRegistry.ownListeners.add(handler);
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+    return handler;
+  }
+
+  /**
+   * Remove an event listener added with addListener()
+   * @param {EventTarget} target - The target the listener was added to
+   * @param {string} type - The event type
+   * @param {Function} handler - The event handler
+   */
+  removeListener(target, type, handler) {
+    this.listeners = this.listeners.filter(listener => {
+      if (listener.target === target && listener.type === type && listener.handler === handler) {
+        target.removeEventListener(type, handler, listener.options);
+        return false;
       }
-      
-      // For elements with tabindex = 0, use DOM order
-      return 0;
+      return true;
     });
-    
-    console.log('Tab order analysis:', tabbableElements);
   }
 
   /**
-   * Set up focus trapping within a modal or dialog
-   * @param {Element} modalElement - The modal or dialog element
-   * @param {Object} options - Options for the focus trap
-   * @param {boolean} options.returnFocusOnClose - Whether to return focus to the element that triggered the modal
-   * @param {Element} options.triggerElement - The element that triggered the modal (for returning focus)
-   * @returns {Object} - Functions to control the focus trap
+   * Schedule a callback that destroy() will cancel
+   * @param {Function} callback - The callback to run
+   * @param {number} delay - The delay in milliseconds
+   * @returns {number} - The timer id
    */
-  setupFocusTrap(modalElement, options = {}) {
-    if (!modalElement) {
-      return { 
-        remove: () => {},
-        updateTabbableElements: () => {}
-      };
+  setTimer(callback, delay) {
+    const timerId = setTimeout(() => {
+      this.timers.delete(timerId);
+      callback();
+    }, delay);
+    this.timers.add(timerId);
+    return timerId;
+  }
+
+  /**
+   * Tear down everything the manager has set up
+   * @param {Object} options - Teardown options
+   * @param {boolean} options.revert - Also revert every change the manager applied (default: false)
+   */
+  destroy(options = {}) {
+    if (this.destroyed) {
+      return;
     }
+    this.destroyed = true;
     
-    const returnFocusOnClose = options.returnFocusOnClose !== false;
-    const triggerElement = options.triggerElement || document.activeElement;
-    
-    // Store the element that had focus before the modal was opened
-    const previouslyFocusedElement = triggerElement;
-    
-    // Find all tabbable elements within the modal
-    let tabbableElements = this.findTabbableElements(modalElement);
+    this.timers.forEach(timerId => clearTimeout(timerId));
+    this.timers.clear();
+    this.cancelMutationProcessing();
+    this.pendingMutationRoots.clear();
+    this.announcementQueue = [];
+    this.announcementTimer = null;
     
-    if (tabbableElements.length === 0) {
-      console.warn('No tabbable elements found in modal');
-      // Add a tabindex to the modal itself if there are no tabbable elements
-      modalElement.setAttribute('tabindex', '0');
-      tabbableElements = [modalElement];
-    }
+    // Releasing a focus trap schedules focus to return to its trigger
+    Array.from(this.activeFocusTraps).forEach(focusTrap => focusTrap.remove());
+    this.activeFocusTraps.clear();
     
-    const firstTabbable = tabbableElements[0];
-    const lastTabbable = tabbableElements[tabbableElements.length - 1];
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers.clear();
+    this.mutationObserver = null;
     
-    // Set initial focus after a small delay to ensure the modal is visible
-    setTimeout(() => {
-      firstTabbable.focus();
-    }, 50);
+    this.listeners.forEach(({ target, type, handler, options: listenerOptions }) => {
+      target.removeEventListener(type, handler, listenerOptions);
+    });
+    this.listeners = [];
     
-    // Handle keyboard events
-    const handleKeyDown = (event) => {
-      // Check for Tab key
-      if (event.key === 'Tab') {
-        // Shift + Tab
-        if (event.shiftKey) {
-          if (document.activeElement === firstTabbable) {
-            event.preventDefault();
-            lastTabbable.focus();
-          }
-        } 
-        // Tab
-        else {
-          if (document.activeElement === lastTabbable) {
-            event.preventDefault();
-            firstTabbable.focus();
-          }
-        }
+    // Restore the XHR prototype and fetch unless another script has wrapped them since
+    if (this.originalXhrMethods) {
+      if (XMLHttpRequest.prototype.open === this.originalXhrMethods.wrappedOpen) {
+        XMLHttpRequest.prototype.open = this.originalXhrMethods.open;
       }
-      
-      // Check for Escape key
-      if (event.key === 'Escape') {
-        if (modalElement.hasAttribute('aria-modal') || modalElement.getAttribute('role') === 'dialog') {
-          const closeButton = modalElement.querySelector('[aria-label="Close"], .close, .btn-close');
-          if (closeButton) {
-            closeButton.click();
-          }
-        }
+      if (XMLHttpRequest.prototype.send === this.originalXhrMethods.wrappedSend) {
+        XMLHttpRequest.prototype.send = this.originalXhrMethods.send;
       }
-    };
-    
-    modalElement.addEventListener('keydown', handleKeyDown);
+      this.originalXhrMethods = null;
+    }
     
-    // Create a function to update the tabbable elements (useful for dynamic content)
-    const updateTabbableElements = () => {
-      const updatedElements = this.findTabbableElements(modalElement);
-      if (updatedElements.length > 0) {
-        tabbableElements = updatedElements;
-        firstTabbable = tabbableElements[0];
-        lastTabbable = tabbableElements[tabbableElements.length - 1];
+    if (this.originalFetch) {
+      if (window.fetch === this.originalFetch.wrappedFetch) {
+        window.fetch = this.originalFetch.fetch;
       }
-    };
+      this.originalFetch = null;
+    }
+    this.pendingUpdatedRegions.clear();
+    this.releaseListenerRegistry();
     
-    // Return functions to control the focus trap
-    return {
-      remove: () => {
-        modalElement.removeEventListener('keydown', handleKeyDown);
-        if (returnFocusOnClose && previouslyFocusedElement && typeof previouslyFocusedElement.focus === 'function') {
-          // Return focus to the element that opened the modal
-          setTimeout(() => {
-            previouslyFocusedElement.focus();
-          }, 50);
-        }
-      },
-      updateTabbableElements
-    };
-  }
-  
-  /**
-   * Find all tabbable elements within a container
-   * @param {Element} container - The container element
-   * @returns {Array} - Array of tabbable elements
-   */
-  findTabbableElements(container) {
-    const selector = this.interactiveSelectors.join(',');
-    return Array.from(container.querySelectorAll(selector))
-      .filter(element => {
-        const tabindex = parseInt(element.getAttribute('tabindex') || '0', 10);
-        return tabindex >= 0 && !this.shouldBeRemovedFromTabOrder(element);
+    // Remove processing markers and component state
+    const markerSelector = this.processedMarkers.map(marker => `[${marker}]`).join(',');
+    document.querySelectorAll(markerSelector).forEach(element => {
+      this.processedMarkers.forEach(marker => element.removeAttribute(marker));
+      this.elementStateProperties.forEach(property => {
+        delete element[property];
       });
+    });
+    
+    if (options.revert) {
+      this.revert();
+    }
   }
-  
+
   /**
-   * Set up a mutation observer to handle dynamically added content
-   * @param {Element} container - The container to observe
+   * Process same-origin frames in a container whenever they load a document
+   * @param {Element} container - The container with the frames
    */
-  setupMutationObserver(container) {
-    // Create a mutation observer to watch for changes in the DOM
-    const observer = new MutationObserver((mutations) => {
-      let shouldProcess = false;
-      
-      // Check if any mutations are relevant to tabindex accessibility
-      mutations.forEach(mutation => {
-        // Check if nodes were added
-        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-          for (const node of mutation.addedNodes) {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              shouldProcess = true;
-              break;
-            }
-          }
+  setupFrameHandling(container) {
+    const scopes = [container, ...this.findShadowRoots(container)];
+    this.findFrameDocuments(container).forEach(frameDocument => {
+      scopes.push(frameDocument, ...this.findShadowRoots(frameDocument));
+    });
+    
+    scopes.forEach(scope => {
+      scope.querySelectorAll('iframe, frame').forEach(frame => {
+        if (this.watchedFrames.has(frame)) {
+          return;
         }
+        this.watchedFrames.add(frame);
         
-        // Check for attribute changes related to visibility or tabindex
-        if (mutation.type === 'attributes') {
-          const relevantAttributes = [
-            'tabindex', 'disabled', 'aria-hidden', 
-            'hidden', 'style', 'display', 'visibility'
-          ];
-          
-          if (relevantAttributes.includes(mutation.attributeName)) {
-            shouldProcess = true;
+        this.addListener(frame, 'load', () => {
+          const frameDocument = this.getFrameDocument(frame);
+          if (!frameDocument) {
+            return;
           }
-        }
+          
+          this.processDynamicContent(frameDocument.body);
+          this.observeNestedRoots(frame.parentNode);
+          this.setupFrameHandling(frameDocument.body);
+        });
       });
-      
-      // If relevant changes were detected, process the container
-      if (shouldProcess) {
-        this.processDynamicContent(container);
-      }
     });
-    
-    // Start observing the container
-    observer.observe(container, {
-      childList: true,
-      subtree: true,
-      attributes: true,
-      attributeFilter: [
-        'tabindex', 'disabled', 'aria-hidden', 
-        'hidden', 'style', 'display', 'visibility'
-      ]
+  }
+
+  /**
+   * Fix elements with negative tabindex values
+   * @param {Element} container - The container element
+   */
+  fixNegativeTabindexValues(container) {
+    const elements = this.queryAll(container, '[tabindex="-1"]');
+    const linkTargets = elements.length > 0 ? this.getInPageLinkTargets() : null;
+    elements.forEach(element => {
+      // Only fix interactive elements that should be tabbable and were taken out of the tab order by mistake
+      if (this.isInteractiveElement(element) && !this.shouldBeRemovedFromTabOrder(element) &&
+          !this.isIntentionalTabindex(element, linkTargets)) {
+        const change = this.changeAttribute(element, 'tabindex', '0', 'negative-tabindex');
+        this.recordFinding('negative-tabindex', element, {
+          attribute: 'tabindex',
+          before: '-1',
+          after: '0',
+          changeId: change && change.id
+        });
+      }
     });
-    
-    // Store the observer reference for potential cleanup
-    this.mutationObserver = observer;
   }
-  
+
   /**
-   * Process dynamically added content for tabindex issues
-   * @param {Element} container - The container with dynamic content
+   * Check whether an element's tabindex="-1" is meant to keep it out of the tab order
+   *
+   * The value is intentional when the manager set it, when the element is an item
+   * of a composite widget (managed or running its own roving tabindex), when the
+   * markup marks it with data-tabindex-intent="programmatic", and when it is a
+   * programmatic focus target: a dialog, the target of an in-page link, or an
+   * element script has focused while it had tabindex="-1".
+   * @param {Element} element - The element to check
+   * @param {Set} linkTargets - The targets of the page's in-page links, from getInPageLinkTargets() (optional)
+   * @returns {boolean} - Whether the element should stay out of the tab order
    */
-  processDynamicContent(container) {
-    // Apply the same fixes as the main fix() method
-    if (this.fixNegativeTabindex) {
-      this.fixNegativeTabindexValues(container);
+  isIntentionalTabindex(element, linkTargets) {
+    if (this.intentionalTabindex.has(element) ||
+        element.getAttribute('data-tabindex-intent') === 'programmatic') {
+      return true;
     }
     
-    if (this.fixHighTabindex) {
-      this.fixHighTabindexValues(container);
+    // Composite items are reached with the arrow keys, from the one item that is the widget's tab stop
+    if (this.isCompositeItem(element)) {
+      return true;
     }
-    
-    if (this.ensureInteractiveElements) {
-      this.makeInteractiveElementsTabbable(container);
+    const composite = this.getOwningComposite(element);
+    if (composite) {
+      const items = this.compositeRoles[composite.getAttribute('role')].items;
+      if (element.matches(items) && (this.usesActiveDescendant(composite) ||
+          Array.from(composite.querySelectorAll(items)).some(item => item.getAttribute('tabindex') === '0'))) {
+        return true;
+      }
     }
     
-    this.validateNonInteractiveElements(container);
-    
-    // Check for dialogs, modals, or other components that might need focus trapping
-    this.detectAndHandleDialogs(container);
+    if (element.matches('dialog, [role="dialog"], [role="alertdialog"]')) {
+      return true;
+    }
+    return (linkTargets || this.getInPageLinkTargets()).has(element);
   }
-  
+
   /**
-   * Detect and set up focus trapping for dialogs and modals in dynamic content
-   * @param {Element} container - The container to search in
+   * Find the elements the page's in-page links point to
+   * @returns {Set} - The link targets
    */
-  detectAndHandleDialogs(container) {
-    const dialogSelectors = [
-      '[role="dialog"]',
-      '[role="alertdialog"]',
-      '.modal[aria-modal="true"]',
-      '.dialog[aria-modal="true"]'
-    ];
+  getInPageLinkTargets() {
+    const targets = new Set();
+    document.querySelectorAll('a[href^="#"]').forEach(link => {
+      const target = link.getAttribute('href').length > 1 ? this.getSkipLinkTarget(link) : null;
+      if (target) {
+        targets.add(target);
+      }
+    });
+    return targets;
+  }
+
+  /**
+   * Remember the elements script focuses while they have tabindex="-1", so they are not put back in the tab order
+   *
+   * Focus within 100 milliseconds of a pointer or key press is the user's, for
+   * example a click on a control that lost its place in the tab order, and isn't
+   * recorded.
+   */
+  setupProgrammaticFocusTracking() {
+    if (this.programmaticFocusHandler) {
+      return;
+    }
     
-    const dialogs = container.querySelectorAll(dialogSelectors.join(','));
+    const noteUserInput = () => {
+      this.lastUserInputTime = Date.now();
+    };
+    ['pointerdown', 'mousedown', 'touchstart', 'keydown'].forEach(type => {
+      this.addListener(document, type, noteUserInput, true);
+    });
     
-    dialogs.forEach(dialog => {
-      // Only set up if the dialog is visible and doesn't already have a focus trap
-      if (!this.isVisuallyHidden(dialog) && !dialog.hasAttribute('data-focus-trap-active')) {
-        dialog.setAttribute('data-focus-trap-active', 'true');
-        
-        const focusTrap = this.setupFocusTrap(dialog, {
-          returnFocusOnClose: this.returnFocusOnDynamicContentClose
+    this.programmaticFocusHandler = (event) => {
+      const target = event.composedPath ? event.composedPath()[0] : event.target;
+      if (target.nodeType === Node.ELEMENT_NODE && target.getAttribute('tabindex') === '-1' &&
+          Date.now() - this.lastUserInputTime > 100) {
+        this.intentionalTabindex.add(target);
+      }
+    };
+    this.addListener(document, 'focusin', this.programmaticFocusHandler, true);
+  }
+
+  /**
+   * Fix elements with high tabindex values (greater than 0)
+   * @param {Element} container - The container element
+   */
+  fixHighTabindexValues(container) {
+    const elements = this.queryAll(container, '[tabindex]');
+    elements.forEach(element => {
+      const tabindex = parseInt(element.getAttribute('tabindex'), 10);
+      if (tabindex > 0) {
+        const change = this.changeAttribute(element, 'tabindex', '0', 'positive-tabindex');
+        this.recordFinding('positive-tabindex', element, {
+          attribute: 'tabindex',
+          before: String(tabindex),
+          after: '0',
+          changeId: change && change.id
+        });
+      }
+    });
+  }
+
+  /**
+   * Ensure all interactive elements are tabbable
+   * @param {Element} container - The container element
+   */
+  makeInteractiveElementsTabbable(container) {
+    const selector = this.interactiveSelectors.join(',');
+    const elements = this.queryAll(container, selector);
+    
+    elements.forEach(element => {
+      // Skip if the element is hidden or has a parent that's hidden
+      if (this.isVisuallyHidden(element) || this.hasHiddenParent(element)) {
+        return;
+      }
+      
+      // The roving tabindex decides which item of a composite widget is tabbable
+      if (this.isCompositeItem(element) || this.isManagedComposite(element)) {
+        return;
+      }
+      
+      // Accordion headers that wrap their button aren't tab stops themselves
+      if (this.getRuleMode('disclosures') !== 'off' && element.matches(this.disclosureSelector) &&
+          !this.getDisclosureControls(element).includes(element)) {
+        return;
+      }
+      
+      // If element doesn't have a tabindex, add tabindex="0"
+      if (!element.hasAttribute('tabindex')) {
+        const change = this.changeAttribute(element, 'tabindex', '0', 'missing-tabindex');
+        
+        // Natively focusable elements are already reachable, so only report custom controls
+        if (!this.isNativelyFocusable(element)) {
+          this.recordFinding('missing-tabindex', element, {
+            attribute: 'tabindex',
+            before: null,
+            after: '0',
+            changeId: change && change.id
+          });
+        }
+      }
+    });
+  }
+
+  /**
+   * Give each composite widget in a container a roving tabindex
+   *
+   * A composite (toolbar, tablist, radiogroup, listbox, menu, menubar, grid, treegrid
+   * or tree) is a single tab stop: exactly one item has tabindex="0" and the others
+   * have tabindex="-1". Arrow keys, Home and End move focus between the items, and
+   * the last focused item stays the tab stop when focus leaves and comes back.
+   * Composites driven by aria-activedescendant keep DOM focus on one element and are
+   * left alone.
+   * @param {Element} container - The container element
+   */
+  setupRovingTabindex(container) {
+    const composites = this.getCompositeWidgets(container);
+    
+    // Content added inside an existing composite changes its items
+    const owner = this.getOwningComposite(container);
+    if (owner && !composites.includes(owner)) {
+      composites.push(owner);
+    }
+    
+    composites.forEach(composite => {
+      if (!this.isManagedComposite(composite)) {
+        return;
+      }
+      
+      if (!this.compositeWidgets.has(composite)) {
+        this.registerCompositeWidget(composite);
+      }
+      this.syncRovingTabindex(composite);
+    });
+  }
+
+  /**
+   * Find the composite widgets in a container
+   * @param {Element} container - The container element
+   * @returns {Array} - The composite widget elements
+   */
+  getCompositeWidgets(container) {
+    const selector = Object.keys(this.compositeRoles).map(role => `[role="${role}"]`).join(',');
+    return this.queryAll(container, selector);
+  }
+
+  /**
+   * Start handling keyboard navigation in a composite widget
+   * @param {Element} composite - The composite widget element
+   * @param {Object} options - Options overriding the defaults for the composite's role
+   * @param {string} options.orientation - 'horizontal', 'vertical', 'both' or 'grid'
+   * @param {boolean} options.wrap - Whether moving past the last item wraps to the first
+   * @param {boolean} options.selectionFollowsFocus - Whether moving to an item also clicks it
+   * @param {Function} options.onMove - Called with (item, previousItem) after focus moves
+   * @returns {Object} - The composite's roving tabindex state
+   */
+  registerCompositeWidget(composite, options = {}) {
+    const existing = this.compositeWidgets.get(composite);
+    if (existing) {
+      Object.assign(existing, options);
+      return existing;
+    }
+    
+    const definition = this.compositeRoles[composite.getAttribute('role')] || {};
+    const ariaOrientation = composite.getAttribute('aria-orientation');
+    const state = {
+      composite,
+      orientation: definition.orientation === 'grid'
+        ? 'grid'
+        : (ariaOrientation || definition.orientation || 'both'),
+      wrap: definition.wrap === true,
+      selectionFollowsFocus: definition.selectionFollowsFocus === true,
+      onMove: null,
+      activeItem: null
+    };
+    Object.assign(state, options);
+    this.compositeWidgets.set(composite, state);
+    
+    this.addListener(composite, 'keydown', (e) => this.handleCompositeKeyDown(state, e));
+    
+    // Remember the item that was focused last, however it got focus
+    this.addListener(composite, 'focusin', (e) => {
+      const target = e.composedPath ? e.composedPath()[0] : e.target;
+      if (target !== state.activeItem && this.getCompositeItems(composite).includes(target)) {
+        this.setActiveCompositeItem(state, target);
+      }
+    });
+    
+    return state;
+  }
+
+  /**
+   * Make exactly one item of a composite widget tabbable
+   * @param {Element} composite - The composite widget element
+   * @returns {Element|null} - The item that is the composite's tab stop
+   */
+  syncRovingTabindex(composite) {
+    if (!this.isManagedComposite(composite)) {
+      return null;
+    }
+    
+    const items = this.getCompositeItems(composite);
+    if (items.length === 0) {
+      return null;
+    }
+    
+    const state = this.compositeWidgets.get(composite);
+    
+    // Popup menus are opened from their trigger, so none of their items is a tab stop
+    if (this.isPopupMenu(composite)) {
+      items.forEach(item => this.changeAttribute(item, 'tabindex', '-1', 'roving-tabindex'));
+      if (state) {
+        state.activeItem = null;
+      }
+      return null;
+    }
+    
+    const reachable = items.filter(item => !this.shouldBeRemovedFromTabOrder(item));
+    const stops = items.filter(item => this.isTabbable(item));
+    
+    // Keep the last active item, then the selected item, then the current tab stop
+    let active = state && reachable.includes(state.activeItem) ? state.activeItem : null;
+    if (!active) {
+      active = reachable.find(item =>
+        item.getAttribute('aria-selected') === 'true' ||
+        item.getAttribute('aria-checked') === 'true' ||
+        (item.hasAttribute('aria-current') && item.getAttribute('aria-current') !== 'false')
+      ) || stops.find(item => reachable.includes(item)) || reachable[0] || null;
+    }
+    
+    if (stops.length > 1 || (stops.length === 0 && active)) {
+      const role = composite.getAttribute('role');
+      this.recordFinding('composite-tab-stops', composite, {
+        attribute: 'tabindex',
+        message: `${role} has ${stops.length} tab stops among ${items.length} items; expected 1`
+      });
+    }
+    
+    items.forEach(item => {
+      this.changeAttribute(item, 'tabindex', item === active ? '0' : '-1', 'roving-tabindex');
+    });
+    
+    // The composite itself isn't a tab stop when its items are
+    if (composite.hasAttribute('tabindex') && parseInt(composite.getAttribute('tabindex'), 10) >= 0) {
+      this.changeAttribute(composite, 'tabindex', null, 'roving-tabindex');
+    }
+    
+    if (state) {
+      state.activeItem = active;
+    }
+    return active;
+  }
+
+  /**
+   * Get the items of a composite widget, excluding items of nested composites
+   * @param {Element} composite - The composite widget element
+   * @returns {Array} - The items in tree order
+   */
+  getCompositeItems(composite) {
+    const definition = this.compositeRoles[composite.getAttribute('role')];
+    if (!definition) {
+      return [];
+    }
+    
+    return this.queryAll(composite, definition.items).filter(item =>
+      item !== composite && this.getOwningComposite(item) === composite
+    );
+  }
+
+  /**
+   * Find the closest composite widget an element belongs to
+   * @param {Element} element - The element
+   * @returns {Element|null} - The nearest ancestor with a composite role
+   */
+  getOwningComposite(element) {
+    let parent = this.getComposedParent(element);
+    while (parent) {
+      if (this.compositeRoles[parent.getAttribute('role')]) {
+        return parent;
+      }
+      parent = this.getComposedParent(parent);
+    }
+    return null;
+  }
+
+  /**
+   * Check if an element is an item of a composite widget the manager handles
+   * @param {Element} element - The element to check
+   * @returns {boolean} - Whether the composite, not the tab sequence, decides how the element gets focus
+   */
+  isCompositeItem(element) {
+    if (this.getRuleMode('composite-tab-stops') === 'off') {
+      return false;
+    }
+    
+    // Items of composites driven by aria-activedescendant aren't tab stops either
+    const composite = this.getOwningComposite(element);
+    return Boolean(composite) &&
+      element.matches(this.compositeRoles[composite.getAttribute('role')].items) &&
+      (this.isManagedComposite(composite) || this.usesActiveDescendant(composite));
+  }
+
+  /**
+   * Check if an element is a composite widget the manager handles
+   * @param {Element} element - The element to check
+   * @returns {boolean} - Whether the element gets a roving tabindex
+   */
+  isManagedComposite(element) {
+    return this.getRuleMode('composite-tab-stops') !== 'off' &&
+      Boolean(this.compositeRoles[element.getAttribute('role')]) &&
+      !this.usesActiveDescendant(element);
+  }
+
+  /**
+   * Check if a menu pops up from a menu button or a parent menu
+   * @param {Element} composite - The composite widget element
+   * @returns {boolean} - Whether the element is a popup menu rather than a persistent one
+   */
+  isPopupMenu(composite) {
+    if (composite.getAttribute('role') !== 'menu') {
+      return false;
+    }
+    
+    if (this.menuWidgets.has(composite) || composite.matches('.dropdown-menu')) {
+      return true;
+    }
+    
+    const owner = this.getOwningComposite(composite);
+    if (owner && ['menu', 'menubar'].includes(owner.getAttribute('role'))) {
+      return true;
+    }
+    
+    const id = composite.id;
+    return Boolean(id) && Array.from(composite.getRootNode().querySelectorAll('[aria-haspopup][aria-controls]'))
+      .some(trigger => trigger.getAttribute('aria-controls').split(/\s+/).includes(id));
+  }
+
+  /**
+   * Check if a composite widget manages focus with aria-activedescendant
+   * @param {Element} composite - The composite widget element
+   * @returns {boolean} - Whether the composite or a combobox controlling it uses aria-activedescendant
+   */
+  usesActiveDescendant(composite) {
+    if (composite.hasAttribute('aria-activedescendant')) {
+      return true;
+    }
+    
+    const id = composite.id;
+    if (!id) {
+      return false;
+    }
+    
+    const controllers = composite.getRootNode().querySelectorAll('[role="combobox"], [aria-activedescendant]');
+    return Array.from(controllers).some(controller =>
+      ['aria-controls', 'aria-owns'].some(name =>
+        (controller.getAttribute(name) || '').split(/\s+/).includes(id)
+      )
+    );
+  }
+
+  /**
+   * Make an item the tab stop of its composite widget
+   * @param {Object} state - The composite's roving tabindex state
+   * @param {Element} item - The item to make active
+   */
+  setActiveCompositeItem(state, item) {
+    const previous = state.activeItem;
+    if (previous && previous !== item) {
+      this.changeAttribute(previous, 'tabindex', '-1', 'roving-tabindex');
+    }
+    this.changeAttribute(item, 'tabindex', '0', 'roving-tabindex');
+    state.activeItem = item;
+  }
+
+  /**
+   * Move focus to an item of a composite widget
+   * @param {Object} state - The composite's roving tabindex state
+   * @param {Element} item - The item to focus
+   */
+  moveCompositeFocus(state, item) {
+    const previous = state.activeItem;
+    this.setActiveCompositeItem(state, item);
+    item.focus();
+    
+    if (state.selectionFollowsFocus && item.getAttribute('aria-checked') !== 'true') {
+      item.click();
+    }
+    
+    if (typeof state.onMove === 'function') {
+      state.onMove(item, previous);
+    }
+  }
+
+  /**
+   * Handle arrow keys, Home and End in a composite widget
+   * @param {Object} state - The composite's roving tabindex state
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleCompositeKeyDown(state, event) {
+    if (event.defaultPrevented || event.altKey || event.metaKey || !this.isManagedComposite(state.composite)) {
+      return;
+    }
+    
+    const items = this.getCompositeItems(state.composite).filter(item => !this.shouldBeRemovedFromTabOrder(item));
+    const target = event.composedPath ? event.composedPath()[0] : event.target;
+    const current = items.indexOf(target);
+    if (current === -1) {
+      return;
+    }
+    
+    // Text fields need the arrow keys, Home and End to move the caret
+    const isTextField = target.matches('textarea, [contenteditable="true"], input:not([type]), ' +
+      'input[type="text"], input[type="search"], input[type="email"], input[type="url"], ' +
+      'input[type="tel"], input[type="password"], input[type="number"]');
+    if (isTextField && event.key !== 'ArrowUp' && event.key !== 'ArrowDown') {
+      return;
+    }
+    
+    const next = state.orientation === 'grid'
+      ? this.getNextGridItem(state, items, target, event)
+      : this.getNextLinearItem(state, items, current, event);
+    
+    if (next && next !== target) {
+      event.preventDefault();
+      this.moveCompositeFocus(state, next);
+    } else if (next) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Find the item an arrow key, Home or End moves to in a one-dimensional composite
+   * @param {Object} state - The composite's roving tabindex state
+   * @param {Array} items - The reachable items
+   * @param {number} current - The index of the focused item
+   * @param {KeyboardEvent} event - The keydown event
+   * @returns {Element|null} - The next item, or null if the key isn't handled
+   */
+  getNextLinearItem(state, items, current, event) {
+    const view = state.composite.ownerDocument.defaultView || window;
+    const rtl = view.getComputedStyle(state.composite).direction === 'rtl';
+    const horizontal = state.orientation !== 'vertical';
+    const vertical = state.orientation !== 'horizontal';
+    let step = 0;
+    
+    switch (event.key) {
+      case 'ArrowRight':
+        step = horizontal ? (rtl ? -1 : 1) : 0;
+        break;
+      case 'ArrowLeft':
+        step = horizontal ? (rtl ? 1 : -1) : 0;
+        break;
+      case 'ArrowDown':
+        step = vertical ? 1 : 0;
+        break;
+      case 'ArrowUp':
+        step = vertical ? -1 : 0;
+        break;
+      case 'Home':
+        return items[0];
+      case 'End':
+        return items[items.length - 1];
+    }
+    
+    if (step === 0) {
+      return null;
+    }
+    
+    let index = current + step;
+    if (index < 0 || index >= items.length) {
+      index = state.wrap ? (index + items.length) % items.length : current;
+    }
+    return items[index];
+  }
+
+  /**
+   * Find the cell an arrow key, Home or End moves to in a grid
+   * @param {Object} state - The composite's roving tabindex state
+   * @param {Array} items - The reachable cells
+   * @param {Element} cell - The focused cell
+   * @param {KeyboardEvent} event - The keydown event
+   * @returns {Element|null} - The next cell, or null if the key isn't handled
+   */
+  getNextGridItem(state, items, cell, event) {
+    // Group the cells into rows, in tree order
+    const rows = [];
+    items.forEach(item => {
+      const row = item.closest('[role="row"]') || state.composite;
+      let cells = rows.find(entry => entry.row === row);
+      if (!cells) {
+        cells = { row, items: [] };
+        rows.push(cells);
+      }
+      cells.items.push(item);
+    });
+    
+    const rowIndex = rows.findIndex(entry => entry.items.includes(cell));
+    const rowItems = rows[rowIndex].items;
+    const column = rowItems.indexOf(cell);
+    const view = state.composite.ownerDocument.defaultView || window;
+    const rtl = view.getComputedStyle(state.composite).direction === 'rtl';
+    const cellAt = (index, col) => {
+      const target = rows[index].items;
+      return target[Math.min(col, target.length - 1)];
+    };
+    
+    switch (event.key) {
+      case 'ArrowRight':
+        return rowItems[Math.max(0, Math.min(rowItems.length - 1, column + (rtl ? -1 : 1)))];
+      case 'ArrowLeft':
+        return rowItems[Math.max(0, Math.min(rowItems.length - 1, column + (rtl ? 1 : -1)))];
+      case 'ArrowDown':
+        return rowIndex < rows.length - 1 ? cellAt(rowIndex + 1, column) : cell;
+      case 'ArrowUp':
+        return rowIndex > 0 ? cellAt(rowIndex - 1, column) : cell;
+      case 'Home':
+        return event.ctrlKey ? rows[0].items[0] : rowItems[0];
+      case 'End':
+        return event.ctrlKey
+          ? rows[rows.length - 1].items[rows[rows.length - 1].items.length - 1]
+          : rowItems[rowItems.length - 1];
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Find the elements matching a selector in a subtree, including its root
+   * @param {Element} root - The root of the subtree
+   * @param {string} selector - The selector to match
+   * @returns {Array} - The matching elements, light DOM first and then each shadow root and frame,
+   *   without those in regions the markup excludes (see getMarkupOverrides())
+   */
+  queryAll(root, selector) {
+    // Leave out ignored regions, and regions that turn off the rule being run
+    if (root.nodeType === Node.ELEMENT_NODE && this.getRuleMode(this.activeRule, root) === 'off') {
+      return [];
+    }
+    
+    const elements = Array.from(root.querySelectorAll(selector));
+    if (root.nodeType === Node.ELEMENT_NODE && root.matches(selector)) {
+      elements.unshift(root);
+    }
+    
+    // Include matches inside open shadow roots and same-origin frames
+    const { scopes, hasOverrides } = this.getQueryScopes(root);
+    scopes.forEach(scope => {
+      elements.push(...scope.querySelectorAll(selector));
+    });
+    
+    // Only a subtree with override markup of its own needs each element checked
+    return hasOverrides
+      ? elements.filter(element => this.getRuleMode(this.activeRule, element) !== 'off')
+      : elements;
+  }
+
+  /**
+   * Find the shadow roots and frame documents queryAll() searches below a root
+   *
+   * During a rule pass the result is kept for each root, so the rules don't each
+   * walk the whole subtree again.
+   * @param {Element|Document|ShadowRoot} root - The root of the subtree
+   * @returns {Object} - { scopes, hasOverrides }: the nested scopes, and whether the subtree has override markup
+   */
+  getQueryScopes(root) {
+    if (this.queryScopeCache && this.queryScopeCache.has(root)) {
+      return this.queryScopeCache.get(root);
+    }
+    
+    const shadowRoots = this.findShadowRoots(root);
+    const scopes = shadowRoots.slice();
+    if (this.processSameOriginFrames) {
+      [root, ...shadowRoots].forEach(scope => {
+        scope.querySelectorAll('iframe, frame').forEach(frame => {
+          const frameDocument = this.getFrameDocument(frame);
+          if (frameDocument) {
+            scopes.push(frameDocument, ...this.getQueryScopes(frameDocument).scopes);
+          }
         });
+      });
+    }
+    
+    const result = {
+      scopes,
+      hasOverrides: [root, ...scopes].some(scope => scope.querySelector(this.markupOverrideSelector) !== null)
+    };
+    if (this.queryScopeCache) {
+      this.queryScopeCache.set(root, result);
+    }
+    return result;
+  }
+
+  /**
+   * Check if an element should be considered interactive
+   * @param {Element} element - The element to check
+   * @returns {boolean} - Whether the element is interactive
+   */
+  isInteractiveElement(element) {
+    // Check if the element matches any of our interactive selectors
+    return this.interactiveSelectors.some(selector => 
+      element.matches(selector)
+    );
+  }
+
+  /**
+   * Check if an element is focusable without a tabindex attribute
+   * @param {Element} element - The element to check
+   * @returns {boolean} - Whether the browser makes the element focusable by default
+   */
+  isNativelyFocusable(element) {
+    return element.matches(
+      'a[href], area[href], button, input:not([type="hidden"]), select, textarea, ' +
+      'iframe, details > summary:first-of-type, [contenteditable="true"]'
+    );
+  }
+
+  /**
+   * Check if an element should be removed from the tab order
+   * @param {Element} element - The element to check
+   * @returns {boolean} - Whether the element should be removed from tab order
+   */
+  shouldBeRemovedFromTabOrder(element) {
+    // Hidden elements should be removed from tab order
+    if (this.isVisuallyHidden(element) || this.hasHiddenParent(element)) {
+      return true;
+    }
+    
+    // Elements with aria-hidden="true" should be removed
+    if (element.getAttribute('aria-hidden') === 'true') {
+      return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Check if an element is visually hidden
+   * @param {Element} element - The element to check
+   * @returns {boolean} - Whether the element is visually hidden
+   */
+  isVisuallyHidden(element) {
+    // Elements in frames must be styled by their own window
+    const view = element.ownerDocument.defaultView || window;
+    const style = view.getComputedStyle(element);
+    return style.display === 'none' || 
+           style.visibility === 'hidden' || 
+           style.opacity === '0' ||
+           (style.position === 'absolute' && 
+            (style.width === '1px' || style.height === '1px') && 
+            style.overflow === 'hidden');
+  }
+
+  /**
+   * Check if an element has a hidden parent
+   * @param {Element} element - The element to check
+   * @returns {boolean} - Whether the element has a hidden parent
+   */
+  hasHiddenParent(element) {
+    let parent = this.getComposedParent(element);
+    while (parent) {
+      if (this.isVisuallyHidden(parent) || parent.getAttribute('aria-hidden') === 'true') {
+        return true;
+      }
+      parent = this.getComposedParent(parent);
+    }
+    return false;
+  }
+
+  /**
+   * Get the parent of an element in the composed (flattened) tree
+   * @param {Element} element - The element
+   * @returns {Element|null} - The assigned slot, the parent element, the shadow host or the frame element
+   */
+  getComposedParent(element) {
+    if (this.traverseShadowDom && element.assignedSlot) {
+      return element.assignedSlot;
+    }
+    if (element.parentElement) {
+      return element.parentElement;
+    }
+    
+    const parentNode = element.parentNode;
+    if (this.traverseShadowDom && parentNode && parentNode.host) {
+      return parentNode.host;
+    }
+    
+    // The root element of a same-origin frame continues at the iframe element
+    if (this.processSameOriginFrames && parentNode && parentNode.nodeType === Node.DOCUMENT_NODE &&
+        parentNode !== document && parentNode.defaultView) {
+      try {
+        return parentNode.defaultView.frameElement;
+      } catch (error) {
+        return null;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Check if a node is inside an element, looking across shadow boundaries
+   * @param {Element} ancestor - The possible ancestor
+   * @param {Node} node - The node to check
+   * @returns {boolean} - Whether the node is the ancestor or inside it
+   */
+  composedContains(ancestor, node) {
+    let current = node;
+    while (current) {
+      if (current === ancestor) {
+        return true;
+      }
+      current = current.nodeType === Node.ELEMENT_NODE
+        ? this.getComposedParent(current)
+        : current.host || current.parentNode;
+    }
+    return false;
+  }
+
+  /**
+   * Get the focused element, looking inside open shadow roots and same-origin frames
+   * @returns {Element|null} - The innermost focused element
+   */
+  getDeepActiveElement() {
+    let active = document.activeElement;
+    while (active) {
+      if (this.traverseShadowDom && active.shadowRoot && active.shadowRoot.activeElement) {
+        active = active.shadowRoot.activeElement;
+        continue;
+      }
+      
+      const frameDocument = this.processSameOriginFrames && this.getFrameDocument(active);
+      if (frameDocument && frameDocument.activeElement && frameDocument.activeElement !== frameDocument.body) {
+        active = frameDocument.activeElement;
+        continue;
+      }
+      
+      break;
+    }
+    return active;
+  }
+
+  /**
+   * Get the document of a same-origin frame
+   * @param {Element} frame - The iframe or frame element
+   * @returns {Document|null} - The frame's document, or null for other elements and cross-origin frames
+   */
+  getFrameDocument(frame) {
+    if (!frame || (frame.localName !== 'iframe' && frame.localName !== 'frame')) {
+      return null;
+    }
+    
+    try {
+      const frameDocument = frame.contentDocument;
+      // Reading the body throws or returns null for cross-origin and unloaded frames
+      return frameDocument && frameDocument.body ? frameDocument : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Find the documents of the same-origin frames inside a subtree, including nested frames
+   * @param {Element|Document} root - The root of the subtree
+   * @returns {Array} - The frame documents (empty unless processSameOriginFrames is enabled)
+   */
+  findFrameDocuments(root) {
+    const frameDocuments = [];
+    if (!this.processSameOriginFrames) {
+      return frameDocuments;
+    }
+    
+    [root, ...this.findShadowRoots(root)].forEach(scope => {
+      scope.querySelectorAll('iframe, frame').forEach(frame => {
+        const frameDocument = this.getFrameDocument(frame);
+        if (frameDocument) {
+          frameDocuments.push(frameDocument, ...this.findFrameDocuments(frameDocument));
+        }
+      });
+    });
+    
+    return frameDocuments;
+  }
+
+  /**
+   * Find the open shadow roots inside a subtree, including nested ones
+   * @param {Element|ShadowRoot} root - The root of the subtree
+   * @returns {Array} - The shadow roots
+   */
+  findShadowRoots(root) {
+    const shadowRoots = [];
+    if (!this.traverseShadowDom) {
+      return shadowRoots;
+    }
+    
+    const collect = scope => {
+      if (scope.shadowRoot) {
+        shadowRoots.push(scope.shadowRoot);
+        collect(scope.shadowRoot);
+      }
+      scope.querySelectorAll('*').forEach(element => {
+        if (element.shadowRoot) {
+          shadowRoots.push(element.shadowRoot);
+          collect(element.shadowRoot);
+        }
+      });
+    };
+    
+    collect(root);
+    return shadowRoots;
+  }
+
+  /**
+   * Validate that non-interactive elements don't have unnecessary tabindex
+   * @param {Element} container - The container element
+   */
+  validateNonInteractiveElements(container) {
+    const selector = this.nonInteractiveWithTabindex.join(',');
+    const elements = this.queryAll(container, selector);
+    
+    elements.forEach(element => {
+      const tabindex = parseInt(element.getAttribute('tabindex'), 10);
+      
+      // If the element has a tabindex but no role, check if it's necessary
+      if (tabindex >= 0 && !element.hasAttribute('role')) {
+        // Elements with their own key or click handlers are custom controls
+        const hasHandlers = this.hasKeyboardEventListeners(element) || this.hasClickEventListeners(element);
+        
+        if (!hasHandlers) {
+          const change = this.changeAttribute(element, 'tabindex', null, 'unnecessary-tabindex');
+          this.recordFinding('unnecessary-tabindex', element, {
+            attribute: 'tabindex',
+            before: String(tabindex),
+            after: null,
+            changeId: change && change.id
+          });
+        }
+      }
+    });
+  }
+
+  /**
+   * Check if an element has keyboard event listeners
+   * @param {Element} element - The element to check
+   * @returns {boolean} - Whether the element has keyboard event listeners
+   */
+  hasKeyboardEventListeners(element) {
+    // Listeners added before the registry was installed can't be seen
+    return element.hasAttribute('onkeydown') || 
+           element.hasAttribute('onkeyup') || 
+           element.hasAttribute('onkeypress') ||
+           this.getRegisteredListenerTypes(element).some(type => ['keydown', 'keyup', 'keypress'].includes(type));
+  }
+
+  /**
+   * Check if an element has click event listeners
+   * @param {Element} element - The element to check
+   * @returns {boolean} - Whether the element has an onclick attribute or a registered click listener
+   */
+  hasClickEventListeners(element) {
+    return element.hasAttribute('onclick') || this.getRegisteredListenerTypes(element).includes('click');
+  }
+
+  /**
+   * Get the event types a target has listeners for, as recorded by the listener registry
+   *
+   * The manager's own listeners aren't recorded.
+   * @param {EventTarget} target - The target
+   * @returns {Array} - The event types
+   */
+  getRegisteredListenerTypes(target) {
+    const listeners = TabindexManager.listenerRegistry.listeners.get(target);
+    if (!listeners) {
+      return [];
+    }
+    return Array.from(listeners.keys()).filter(type => listeners.get(type).length > 0);
+  }
+
+  /**
+   * Record the listeners scripts add with addEventListener
+   *
+   * EventTarget.prototype.addEventListener and removeEventListener are wrapped once
+   * and shared by every manager, and restored when the last manager using them is
+   * destroyed. Only listeners added after the wrap are known: construct the manager
+   * before the page's scripts add theirs. Frames have their own EventTarget and
+   * aren't tracked.
+   */
+  setupListenerRegistry() {
+    const registry = TabindexManager.listenerRegistry;
+    if (this.usesListenerRegistry || typeof EventTarget === 'undefined') {
+      return;
+    }
+    this.usesListenerRegistry = true;
+    registry.users++;
+    if (registry.originals) {
+      return;
+    }
+    
+    const prototype = EventTarget.prototype;
+    const originalAdd = prototype.addEventListener;
+    const originalRemove = prototype.removeEventListener;
+    const capture = options => (typeof options === 'boolean' ? options : Boolean(options && options.capture));
+    
+    prototype.addEventListener = function(type, listener, options) {
+      if (listener && !registry.ownListeners.has(listener)) {
+        if (!registry.listeners.has(this)) {
+          registry.listeners.set(this, new Map());
+        }
+        const byType = registry.listeners.get(this);
+        const entries = byType.get(type) || [];
+        
+        // Adding the same listener twice has no effect
+        if (!entries.some(entry => entry.listener === listener && entry.capture === capture(options))) {
+          byType.set(type, entries.concat({ listener, capture: capture(options) }));
+        }
+      }
+      return originalAdd.apply(this, arguments);
+    };
+    
+    prototype.removeEventListener = function(type, listener, options) {
+      const byType = registry.listeners.get(this);
+      if (byType && byType.has(type)) {
+        byType.set(type, byType.get(type).filter(entry => entry.listener !== listener || entry.capture !== capture(options)));
+      }
+      return originalRemove.apply(this, arguments);
+    };
+    
+    // Keep the originals and our wrappers so the last destroy() can restore the prototype
+    registry.originals = {
+      addEventListener: originalAdd,
+      removeEventListener: originalRemove,
+      wrappedAdd: prototype.addEventListener,
+      wrappedRemove: prototype.removeEventListener
+    };
+  }
+  
+  /**
+   * Stop using the listener registry, restoring EventTarget.prototype when no manager uses it
+   */
+  releaseListenerRegistry() {
+    const registry = TabindexManager.listenerRegistry;
+    if (!this.usesListenerRegistry) {
+      return;
+    }
+    this.usesListenerRegistry = false;
+    registry.users--;
+    
+    // Another script may have wrapped the methods after us; then the wrappers stay in place
+    const prototype = EventTarget.prototype;
+    const { originals } = registry;
+    if (registry.users > 0 || !originals || prototype.addEventListener !== originals.wrappedAdd ||
+        prototype.removeEventListener !== originals.wrappedRemove) {
+      return;
+    }
+    prototype.addEventListener = originals.addEventListener;
+    prototype.removeEventListener = originals.removeEventListener;
+    registry.originals = null;
+    registry.listeners = new WeakMap();
+  }
+
+  /**
+   * Give click-only custom controls keyboard activation (WCAG 2.1.1 Keyboard)
+   *
+   * Custom buttons, links, checkboxes, radios and switches that have click listeners
+   * but no key listeners are reported. Enter and Space then click them the way the
+   * native element would: Enter on keydown for buttons and links, Space on keyup for
+   * buttons, checkboxes, radios and switches. Keys the page or a widget already
+   * handled (with preventDefault) are left alone.
+   * @param {Element} container - The container element
+   */
+  setupKeyboardActivation(container) {
+    this.checkKeyboardActivation(container);
+    
+    if (this.reportOnly || this.keyboardActivationHandler) {
+      return;
+    }
+    
+    this.keyboardActivationHandler = (event) => {
+      // Controls in ignored regions, or where the rule only reports, keep their own key handling
+      const element = event.composedPath ? event.composedPath()[0] : event.target;
+      if (event.defaultPrevented || this.reportOnly || !element || element.nodeType !== Node.ELEMENT_NODE ||
+          this.getRuleMode('click-only-control', element) !== 'fix' || !this.needsKeyboardActivation(element)) {
+        return;
+      }
+      
+      const keys = this.keyboardActivationKeys[this.getElementRole(element)];
+      if (!keys.includes(event.key)) {
+        return;
+      }
+      
+      if (event.key === 'Enter' && event.type === 'keydown') {
+        event.preventDefault();
+        element.click();
+      } else if (event.key === ' ' && event.type === 'keydown') {
+        // Keep the page from scrolling; the control activates when the key is released
+        event.preventDefault();
+        this.pendingSpaceActivation = element;
+      } else if (event.key === ' ' && event.type === 'keyup' && this.pendingSpaceActivation === element) {
+        this.pendingSpaceActivation = null;
+        element.click();
+      }
+    };
+    this.addListener(document, 'keydown', this.keyboardActivationHandler);
+    this.addListener(document, 'keyup', this.keyboardActivationHandler);
+  }
+
+  /**
+   * Report the click-only custom controls in a container
+   * @param {Element} container - The container element
+   */
+  checkKeyboardActivation(container) {
+    const selector = Object.keys(this.keyboardActivationKeys).map(role => `[role="${role}"]`).join(', ');
+    this.queryAll(container, selector).forEach(element => {
+      if ((!this.reportOnly && this.keyboardActivationReports.has(element)) ||
+          this.shouldBeRemovedFromTabOrder(element) || !this.needsKeyboardActivation(element)) {
+        return;
+      }
+      if (!this.reportOnly) {
+        this.keyboardActivationReports.add(element);
+      }
+      
+      this.recordFinding('click-only-control', element);
+    });
+  }
+
+  /**
+   * Check if a custom control responds to clicks but not to the keys its role expects
+   * @param {Element} element - The element to check
+   * @returns {boolean} - Whether Enter or Space should be turned into a click
+   */
+  needsKeyboardActivation(element) {
+    if (!this.keyboardActivationKeys[this.getElementRole(element)] || this.isNativelyFocusable(element)) {
+      return false;
+    }
+    
+    // Click and key handlers are often delegated to a container. Listeners on the document,
+    // such as analytics or shortcuts, say nothing about one control and aren't counted.
+    let handlesClicks = false;
+    let current = element;
+    while (current) {
+      if (this.hasKeyboardEventListeners(current)) {
+        return false;
+      }
+      handlesClicks = handlesClicks || this.hasClickEventListeners(current);
+      current = this.getComposedParent(current);
+    }
+    return handlesClicks;
+  }
+
+  /**
+   * Analyze and report on the tab order of the page
+   * @param {Element} container - The container element
+   * @returns {Array} - The tabbable elements in the order the browser visits them
+   */
+  analyzeTabOrder(container) {
+    const tabbableElements = this.getComposedTabSequence(container).map(element => ({
+      element,
+      tabindex: parseInt(element.getAttribute('tabindex') || '0', 10)
+    }));
+    
+    if (this.logFindings) {
+      console.log('Tab order analysis:', tabbableElements);
+    }
+    
+    return tabbableElements;
+  }
+
+  /**
+   * Compute the sequential focus order of a container the way browsers do
+   *
+   * Open shadow roots and slots are walked in the composed tree. Shadow hosts and slots
+   * own their own focus navigation scope: positive tabindex values only reorder elements
+   * within the same scope, and a host's scope is visited at the host's position. Hosts
+   * with delegatesFocus are not tab stops themselves. With processSameOriginFrames, the
+   * tab sequence of a same-origin frame is inserted at the frame's position.
+   * @param {Element} container - The container element
+   * @returns {Array} - The tabbable elements in tab order
+   */
+  getComposedTabSequence(container) {
+    const nodes = this.traverseShadowDom && container.shadowRoot
+      ? Array.from(container.shadowRoot.children)
+      : Array.from(container.children);
+    return this.getFocusScopeSequence(nodes);
+  }
+
+  /**
+   * Compute the tab order within one focus navigation scope
+   * @param {Array} nodes - The top-level elements of the scope
+   * @returns {Array} - The tabbable elements in tab order, with nested scopes expanded
+   */
+  getFocusScopeSequence(nodes) {
+    const entries = [];
+    const tabindexOf = element => parseInt(element.getAttribute('tabindex') || '0', 10);
+    
+    const visit = element => {
+      if (this.traverseShadowDom && element.localName === 'slot' && element.getRootNode().host) {
+        // Slotted elements, or the fallback content when nothing is assigned
+        const assigned = element.assignedElements ? element.assignedElements({ flatten: true }) : [];
+        entries.push({
+          element: null,
+          tabindex: tabindexOf(element),
+          scope: assigned.length > 0 ? assigned : Array.from(element.children)
+        });
+        return;
+      }
+      
+      // A same-origin frame's document is visited at the frame's position
+      const frameDocument = this.processSameOriginFrames && this.getFrameDocument(element);
+      if (frameDocument) {
+        if (tabindexOf(element) < 0 || this.shouldBeRemovedFromTabOrder(element)) {
+          return;
+        }
+        
+        entries.push({
+          element: null,
+          tabindex: tabindexOf(element),
+          scope: Array.from(frameDocument.body.children)
+        });
+        return;
+      }
+      
+      if (this.traverseShadowDom && element.shadowRoot) {
+        // A negative tabindex on the host removes its whole scope from the tab order
+        if (tabindexOf(element) < 0 || this.shouldBeRemovedFromTabOrder(element)) {
+          return;
+        }
+        
+        const isStop = !element.shadowRoot.delegatesFocus && this.isTabbable(element);
+        entries.push({
+          element: isStop ? element : null,
+          tabindex: tabindexOf(element),
+          scope: Array.from(element.shadowRoot.children)
+        });
+        return;
+      }
+      
+      if (this.isTabbable(element)) {
+        entries.push({ element, tabindex: tabindexOf(element) });
+      }
+      Array.from(element.children).forEach(visit);
+    };
+    
+    nodes.forEach(visit);
+    
+    // Positive tabindex values first in ascending order, then tabindex 0 in tree order
+    const ordered = entries
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => {
+        const aPositive = a.entry.tabindex > 0;
+        const bPositive = b.entry.tabindex > 0;
+        if (aPositive && bPositive && a.entry.tabindex !== b.entry.tabindex) {
+          return a.entry.tabindex - b.entry.tabindex;
+        }
+        if (aPositive !== bPositive) {
+          return aPositive ? -1 : 1;
+        }
+        return a.index - b.index;
+      })
+      .map(item => item.entry);
+    
+    const sequence = [];
+    ordered.forEach(entry => {
+      if (entry.element) {
+        sequence.push(entry.element);
+      }
+      if (entry.scope) {
+        sequence.push(...this.getFocusScopeSequence(entry.scope));
+      }
+    });
+    
+    return sequence;
+  }
+
+  /**
+   * Record a finding against one of the rules
+   * @param {string} ruleId - The id of the rule that was violated
+   * @param {Element} element - The offending element
+   * @param {Object} details - Details of the finding
+   * @param {string} details.attribute - The attribute the fix changes
+   * @param {string|null} details.before - The attribute value before the fix (null when absent)
+   * @param {string|null} details.after - The attribute value after the fix (null when removed)
+   * @param {string} details.message - Optional message overriding the rule description
+   * @param {string} details.changeId - The id of the journal entry for the fix, if any
+   * @returns {Object|null} - The recorded finding, or null if the rule is off for the element
+   */
+  recordFinding(ruleId, element, details = {}) {
+    const mode = this.getRuleMode(ruleId, element);
+    if (mode === 'off') {
+      return null;
+    }
+    const rule = this.rules[ruleId] || {};
+    const applied = !this.reportOnly && mode !== 'warn';
+    
+    // A finding that is only reported is recorded once, however often its rule runs
+    const key = `${ruleId}:${details.attribute || ''}`;
+    let reported = null;
+    if (!applied) {
+      reported = this.reportedFindings.get(element);
+      if (!reported) {
+        reported = new Map();
+        this.reportedFindings.set(element, reported);
+      }
+      if (reported.has(key)) {
+        return reported.get(key);
+      }
+    }
+    
+    const finding = {
+      ruleId,
+      wcag: rule.wcag || null,
+      severity: details.severity || rule.severity || 'warning',
+      message: details.message || rule.description || ruleId,
+      selector: this.getElementSelector(element),
+      xpath: this.getElementXPath(element),
+      attribute: details.attribute || null,
+      before: details.before !== undefined ? details.before : null,
+      after: details.after !== undefined ? details.after : null,
+      applied,
+      changeId: details.changeId || null,
+      styles: details.styles || null
+    };
+    
+    // Keep the element reference available without serializing it
+    Object.defineProperty(finding, 'element', { value: element, enumerable: false });
+    
+    this.findings.push(finding);
+    if (reported) {
+      reported.set(key, finding);
+    }
+    
+    if (this.logFindings) {
+      const log = finding.severity === 'error' ? console.warn : console.log;
+      log(`[${ruleId}] ${finding.message}:`, element);
+    }
+    
+    return finding;
+  }
+
+  /**
+   * Set or remove an attribute, recording the change in the journal
+   * @param {Element} element - The element to change
+   * @param {string} name - The attribute name
+   * @param {string|null} value - The new value, or null to remove the attribute
+   * @param {string} source - The rule or component making the change
+   * @returns {Object|null} - The journal entry, or null if nothing would change
+   */
+  changeAttribute(element, name, value, source) {
+    const before = element.getAttribute(name);
+    if (before === value) {
+      return null;
+    }
+    
+    const change = this.recordChange({ type: 'attribute', element, name, before, after: value, source }, () => {
+      if (value === null) {
+        element.removeAttribute(name);
+      } else {
+        element.setAttribute(name, value);
+      }
+    });
+    
+    // The manager's own tabindex="-1" values are never restored to the tab order
+    if (change && change.applied && name === 'tabindex' && value === '-1') {
+      this.intentionalTabindex.add(element);
+    }
+    return change;
+  }
+
+  /**
+   * Get an element's id, giving it a generated one if it has none
+   * @param {Element} element - The element
+   * @param {string} prefix - The prefix for a generated id
+   * @param {string} source - The rule or component making the change
+   * @returns {string|null} - The id (only proposed in report-only mode), or null if the source may not change the element
+   */
+  ensureId(element, prefix, source) {
+    if (element.id) {
+      return element.id;
+    }
+    
+    const change = this.changeAttribute(element, 'id', prefix + this.generateUniqueId(), source);
+    return change ? change.after : null;
+  }
+
+  /**
+   * Add or remove classes, recording each change in the journal
+   * @param {Element} element - The element to change
+   * @param {string|Array} classNames - The class name or names
+   * @param {boolean} add - Whether to add (true) or remove (false) the classes
+   * @param {string} source - The rule or component making the change
+   * @returns {Array} - The journal entries for the classes that changed
+   */
+  changeClass(element, classNames, add, source) {
+    const names = Array.isArray(classNames) ? classNames : [classNames];
+    
+    return names
+      .filter(name => element.classList.contains(name) !== add)
+      .map(name => this.recordChange({ type: 'class', element, name, before: !add, after: add, source }, () => {
+        element.classList.toggle(name, add);
+      }))
+      .filter(Boolean);
+  }
+
+  /**
+   * Set an inline style property, recording the change in the journal
+   * @param {Element} element - The element to change
+   * @param {string} property - The CSS property name
+   * @param {string} value - The new value ('' clears the property)
+   * @param {string} source - The rule or component making the change
+   * @returns {Object|null} - The journal entry, or null if nothing would change
+   */
+  changeStyle(element, property, value, source) {
+    const before = element.style.getPropertyValue(property);
+    if (before === value) {
+      return null;
+    }
+    
+    return this.recordChange({ type: 'style', element, name: property, before, after: value, source }, () => {
+      element.style.setProperty(property, value);
+    });
+  }
+
+  /**
+   * Insert a generated element, recording the change in the journal
+   * @param {Element} parent - The parent to insert into
+   * @param {Element} node - The element to insert
+   * @param {Node|null} referenceNode - The node to insert before (null appends)
+   * @param {string} source - The rule or component making the change
+   * @returns {Object} - The journal entry
+   */
+  insertElement(parent, node, referenceNode, source) {
+    return this.recordChange({ type: 'node', element: node, parent, name: node.tagName.toLowerCase(), before: null, after: 'inserted', source }, () => {
+      parent.insertBefore(node, referenceNode || null);
+    });
+  }
+
+  /**
+   * Focus an element that is not normally focusable, then remove it from the tab order again
+   * @param {Element} element - The element to focus
+   * @param {string} source - The rule or component moving focus
+   */
+  focusTemporarily(element, source) {
+    const change = this.changeAttribute(element, 'tabindex', '-1', source);
+    element.focus();
+    
+    // Remove tabindex after focus
+    if (change) {
+      this.setTimer(() => {
+        this.revert(change.id);
+      }, 100);
+    }
+  }
+
+  /**
+   * Announce a message to screen reader users
+   *
+   * Messages go through one polite and one assertive live region shared by every
+   * module. They are queued and spaced by announcementInterval so screen readers
+   * don't drop any, and assertive messages go ahead of polite ones. A message
+   * identical to the one still in its region is varied slightly, because screen
+   * readers ignore a region whose text doesn't change. Nothing is announced in
+   * report-only mode, which doesn't add the live regions.
+   * @param {string} message - The text to announce
+   * @param {Object} options - Announcement options
+   * @param {string} options.politeness - 'polite' or 'assertive' (default: 'polite')
+   * @param {number} options.clearAfter - Time in milliseconds before the message is cleared; 0 keeps it (default: announcementClearDelay)
+   * @param {string} options.dedupeKey - A queued message with the same key is replaced by this one
+   */
+  announce(message, options = {}) {
+    if (!message || this.destroyed || this.reportOnly) {
+      return;
+    }
+    
+    const entry = {
+      message: String(message).trim(),
+      politeness: options.politeness === 'assertive' ? 'assertive' : 'polite',
+      clearAfter: options.clearAfter !== undefined ? options.clearAfter : this.announcementClearDelay,
+      dedupeKey: options.dedupeKey || null
+    };
+    
+    // Only the latest message for a key is worth announcing
+    if (entry.dedupeKey) {
+      this.announcementQueue = this.announcementQueue.filter(queued => queued.dedupeKey !== entry.dedupeKey);
+    }
+    
+    if (entry.politeness === 'assertive') {
+      const firstPolite = this.announcementQueue.findIndex(queued => queued.politeness === 'polite');
+      this.announcementQueue.splice(firstPolite === -1 ? this.announcementQueue.length : firstPolite, 0, entry);
+    } else {
+      this.announcementQueue.push(entry);
+    }
+    
+    if (this.announcementTimer === null) {
+      // Regions that were just added need a moment before screen readers notice changes to them
+      const created = !this.getLiveRegion('polite', false) || !this.getLiveRegion('assertive', false);
+      this.getLiveRegion('polite');
+      this.getLiveRegion('assertive');
+      this.announcementTimer = this.setTimer(() => this.processAnnouncementQueue(), created ? 100 : 0);
+    }
+  }
+  
+  /**
+   * Get the live region for a politeness level, reusing one already on the page
+   * @param {string} politeness - 'polite' or 'assertive'
+   * @param {boolean} create - Whether to create the region if it doesn't exist (default: true)
+   * @returns {Element|null} - The live region
+   */
+  getLiveRegion(politeness, create = true) {
+    const id = `tabindex-manager-announcer-${politeness}`;
+    let region = this.liveRegions[politeness];
+    if (region && region.isConnected) {
+      return region;
+    }
+    
+    // Another manager on the page may already have added the region
+    region = document.getElementById(id);
+    if (!region && create && document.body) {
+      region = document.createElement('div');
+      region.id = id;
+      region.className = 'sr-only';
+      region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+      region.setAttribute('aria-live', politeness);
+      region.setAttribute('aria-atomic', 'true');
+      region.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;' +
+        'overflow:hidden;clip:rect(0,0,0,0);white-space:nowrap;border:0;';
+      this.insertElement(document.body, region, null, 'announcer');
+    }
+    
+    this.liveRegions[politeness] = region && region.isConnected ? region : null;
+    return this.liveRegions[politeness];
+  }
+  
+  /**
+   * Write the next queued message to its live region
+   */
+  processAnnouncementQueue() {
+    this.announcementTimer = null;
+    const entry = this.announcementQueue.shift();
+    if (!entry) {
+      return;
+    }
+    
+    const region = this.getLiveRegion(entry.politeness);
+    if (region) {
+      // Repeat an identical message with a trailing no-break space so it is announced again
+      region.textContent = region.textContent === entry.message ? `${entry.message}\u00A0` : entry.message;
+      
+      clearTimeout(this.liveRegionClearTimers[entry.politeness]);
+      this.timers.delete(this.liveRegionClearTimers[entry.politeness]);
+      if (entry.clearAfter > 0) {
+        this.liveRegionClearTimers[entry.politeness] = this.setTimer(() => {
+          region.textContent = '';
+        }, entry.clearAfter);
+      }
+    }
+    
+    // Keep the next message from interrupting this one
+    this.announcementTimer = this.setTimer(() => this.processAnnouncementQueue(), this.announcementInterval);
+  }
+  
+  /**
+   * Announce the message an updated region provides in its data-announce attribute
+   * @param {Element} region - The updated region
+   * @returns {boolean} - Whether a message was announced
+   */
+  announceUpdatedRegion(region) {
+    const message = region && region.getAttribute && region.getAttribute('data-announce');
+    if (!message) {
+      return false;
+    }
+    this.announce(message, { dedupeKey: 'dynamic-content' });
+    return true;
+  }
+
+  /**
+   * Get the locale used for announcements and generated labels
+   * @returns {string} - The locale option, or the lang attribute of <html>, or 'en'
+   */
+  getLocale() {
+    return this.locale || document.documentElement.getAttribute('lang') || 'en';
+  }
+  
+  /**
+   * Add messages to the catalog of a locale, replacing messages with the same key
+   * @param {string} locale - The locale, e.g. 'de' or 'pt-BR'
+   * @param {Object} messages - ICU-style message patterns by key
+   */
+  loadMessages(locale, messages) {
+    const key = String(locale).toLowerCase();
+    this.messageCatalogs[key] = Object.assign(this.messageCatalogs[key] || {}, messages);
+  }
+  
+  /**
+   * Load the JSON message catalogs the server embedded in the page
+   *
+   * A script element with a locale in its data-tabindex-manager-messages attribute
+   * holds that locale's messages. Without a locale it holds catalogs by locale.
+   * @param {Document|Element} root - Where to look for catalogs (default: document)
+   */
+  loadMessageCatalogs(root = document) {
+    this.embeddedCatalogsLoaded = true;
+    root.querySelectorAll(this.messageCatalogSelector).forEach(script => {
+      let catalog;
+      try {
+        catalog = JSON.parse(script.textContent);
+      } catch (error) {
+        console.warn('Invalid message catalog', script, error);
+        return;
+      }
+      
+      const locale = script.getAttribute('data-tabindex-manager-messages');
+      if (locale) {
+        this.loadMessages(locale, catalog);
+      } else {
+        Object.keys(catalog).forEach(key => this.loadMessages(key, catalog[key]));
+      }
+    });
+  }
+  
+  /**
+   * Translate a message into the current locale
+   *
+   * The message is looked up for the locale, then its language (de-CH, then de),
+   * then English. If no catalog has it, the key is returned.
+   * @param {string} key - The message key, e.g. 'wizard.step'
+   * @param {Object} values - Values for the message's arguments
+   * @returns {string} - The formatted message
+   */
+  t(key, values = {}) {
+    if (!this.embeddedCatalogsLoaded) {
+      this.loadMessageCatalogs();
+    }
+    
+    const locale = this.getLocale();
+    const language = locale.split(/[-_]/)[0];
+    const candidates = [locale, language, 'en'].map(candidate => candidate.toLowerCase());
+    const found = candidates.find(candidate => this.messageCatalogs[candidate] &&
+      typeof this.messageCatalogs[candidate][key] === 'string');
+    
+    if (!found) {
+      return key;
+    }
+    return this.formatMessage(this.messageCatalogs[found][key], values, found === 'en' ? 'en' : locale);
+  }
+  
+  /**
+   * Format an ICU-style message pattern
+   *
+   * Supports {name} interpolation, {name, plural, ...} with exact =n matches and
+   * # for the number, {name, selectordinal, ...} and {name, select, ...}.
+   * @param {string} pattern - The message pattern
+   * @param {Object} values - Values for the pattern's arguments
+   * @param {string} locale - The locale for plural rules and numbers
+   * @returns {string} - The formatted message
+   */
+  formatMessage(pattern, values, locale) {
+    let result = '';
+    let index = 0;
+    
+    while (index < pattern.length) {
+      const open = pattern.indexOf('{', index);
+      const close = open === -1 ? -1 : this.findClosingBrace(pattern, open);
+      if (close === -1) {
+        result += pattern.slice(index);
+        break;
+      }
+      result += pattern.slice(index, open) + this.formatArgument(pattern.slice(open + 1, close), values, locale);
+      index = close + 1;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Find the brace that closes the one at a position
+   * @param {string} pattern - The message pattern
+   * @param {number} open - The position of the opening brace
+   * @returns {number} - The position of the closing brace, or -1
+   */
+  findClosingBrace(pattern, open) {
+    let depth = 0;
+    for (let i = open; i < pattern.length; i++) {
+      if (pattern[i] === '{') {
+        depth++;
+      } else if (pattern[i] === '}' && --depth === 0) {
+        return i;
+      }
+    }
+    return -1;
+  }
+  
+  /**
+   * Format one {argument} of a message pattern
+   * @param {string} argument - The text between the braces
+   * @param {Object} values - Values for the pattern's arguments
+   * @param {string} locale - The locale for plural rules and numbers
+   * @returns {string} - The formatted argument
+   */
+  formatArgument(argument, values, locale) {
+    const [name, type, ...rest] = argument.split(',');
+    const value = values[name.trim()];
+    const formatNumber = number => {
+      try {
+        return new Intl.NumberFormat(locale).format(number);
+      } catch (error) {
+        return String(number);
+      }
+    };
+    
+    if (type === undefined) {
+      if (value === undefined || value === null) {
+        return `{${argument}}`;
+      }
+      return typeof value === 'number' ? formatNumber(value) : String(value);
+    }
+    
+    // Read the "selector {message}" pairs
+    const body = rest.join(',');
+    const branches = {};
+    let index = 0;
+    while (index < body.length) {
+      const open = body.indexOf('{', index);
+      const close = open === -1 ? -1 : this.findClosingBrace(body, open);
+      if (close === -1) {
+        break;
+      }
+      branches[body.slice(index, open).trim()] = body.slice(open + 1, close);
+      index = close + 1;
+    }
+    
+    const kind = type.trim();
+    if (kind === 'plural' || kind === 'selectordinal') {
+      const number = Number(value);
+      let category;
+      try {
+        category = new Intl.PluralRules(locale, { type: kind === 'plural' ? 'cardinal' : 'ordinal' }).select(number);
+      } catch (error) {
+        category = number === 1 ? 'one' : 'other';
+      }
+      const branch = branches[`=${number}`] !== undefined ? branches[`=${number}`]
+        : branches[category] !== undefined ? branches[category] : branches.other;
+      return branch === undefined ? '' : this.formatMessage(branch.replace(/#/g, formatNumber(number)), values, locale);
+    }
+    
+    if (kind === 'select') {
+      const branch = branches[String(value)] !== undefined ? branches[String(value)] : branches.other;
+      return branch === undefined ? '' : this.formatMessage(branch, values, locale);
+    }
+    
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  /**
+   * Add a change to the journal and apply it unless in report-only mode
+   *
+   * Repeated changes a source makes to the same attribute, class or style of an
+   * element, such as a menu opening and closing, update one entry that keeps the
+   * value from before the first change. A reverted entry is reused the next time,
+   * so temporary changes like focus trap inert regions don't grow the journal.
+   * The selector is only built when the entry is read.
+   * @param {Object} change - Description of the change
+   * @param {Function} apply - Applies the change to the page
+   * @returns {Object|null} - The journal entry, or null if the markup turns its rule off for the element
+   */
+  recordChange(change, apply) {
+    // Rules change nothing in ignored regions, and a region's rule modes apply to the changes its
+    // rules make. Runtime changes such as focus traps making the background inert reach every element.
+    const ruleId = this.changeSourceRules[change.source] || change.source;
+    const mode = this.rules[ruleId]
+      ? this.getRuleMode(ruleId, change.type === 'node' ? change.parent : change.element)
+      : 'fix';
+    if (mode === 'off') {
+      return null;
+    }
+    
+    const applied = !this.reportOnly && mode !== 'warn';
+    const key = `${change.type}:${change.name}:${change.source}`;
+    let entries = null;
+    if (change.type !== 'node') {
+      entries = this.journalEntries.get(change.element);
+      if (!entries) {
+        entries = new Map();
+        this.journalEntries.set(change.element, entries);
+      }
+      
+      // Continue the source's last entry while nothing else changed the value in between
+      const previous = entries.get(key);
+      if (previous && previous.applied === applied &&
+          (previous.reverted || (applied ? previous.after : previous.before) === change.before)) {
+        if (previous.reverted) {
+          previous.before = change.before;
+          previous.reverted = false;
+          
+          // Move it after the changes made since, so revert() undoes them in order
+          this.changeJournal.splice(this.changeJournal.indexOf(previous), 1);
+          this.changeJournal.push(previous);
+        }
+        previous.after = change.after;
+        if (applied) {
+          apply();
+          this.noteOwnChange(previous);
+        }
+        return previous;
+      }
+    }
+    
+    const target = change.type === 'node' ? change.parent : change.element;
+    const describe = () => this.getElementSelector(target);
+    const entry = {
+      id: `change-${++this.changeCounter}`,
+      type: change.type,
+      name: change.name,
+      get selector() {
+        return describe();
+      },
+      before: change.before,
+      after: change.after,
+      source: change.source,
+      applied,
+      reverted: false
+    };
+    
+    // Keep the element references available without serializing them
+    Object.defineProperty(entry, 'element', { value: change.element, enumerable: false });
+    Object.defineProperty(entry, 'parent', { value: change.parent || null, enumerable: false });
+    
+    if (entry.applied) {
+      apply();
+      this.noteOwnChange(entry);
+    }
+    
+    if (entries) {
+      entries.set(key, entry);
+    }
+    this.changeJournal.push(entry);
+    return entry;
+  }
+
+  /**
+   * Remember a change the manager applied so the mutation observer ignores it
+   * @param {Object} entry - The journal entry
+   */
+  noteOwnChange(entry) {
+    if (entry.type === 'attribute') {
+      this.noteOwnAttributeWrite(entry.element, entry.name);
+    } else if (entry.type === 'style') {
+      this.noteOwnAttributeWrite(entry.element, 'style');
+    } else if (entry.type === 'node') {
+      this.ownInsertedElements.add(entry.element);
+    }
+  }
+
+  /**
+   * Get the change journal
+   * @param {Object} options - Filter options
+   * @param {boolean} options.proposed - Only return changes that were proposed but not applied
+   * @returns {Array} - The journal entries, oldest first
+   */
+  getChangeJournal(options = {}) {
+    if (options.proposed) {
+      return this.changeJournal.filter(entry => !entry.applied);
+    }
+    return this.changeJournal.slice();
+  }
+
+  /**
+   * Revert applied changes
+   * @param {string} changeId - The id of a single change to revert (default: all changes)
+   * @returns {number} - The number of changes that were reverted
+   */
+  revert(changeId) {
+    const entries = changeId
+      ? this.changeJournal.filter(entry => entry.id === changeId)
+      : this.changeJournal.slice().reverse();
+    
+    let reverted = 0;
+    entries.forEach(entry => {
+      if (!entry.applied || entry.reverted) {
+        return;
+      }
+      
+      const element = entry.element;
+      switch (entry.type) {
+        case 'attribute':
+          if (entry.before === null) {
+            element.removeAttribute(entry.name);
+          } else {
+            element.setAttribute(entry.name, entry.before);
+          }
+          break;
+        case 'class':
+          element.classList.toggle(entry.name, entry.before);
+          break;
+        case 'style':
+          element.style.setProperty(entry.name, entry.before);
+          break;
+        case 'node':
+          if (element.parentNode) {
+            element.parentNode.removeChild(element);
+          }
+          break;
+      }
+      
+      // A tabindex="-1" the manager takes back is no longer intentional
+      if (entry.type === 'attribute' && entry.name === 'tabindex' && entry.after === '-1') {
+        this.intentionalTabindex.delete(element);
+      }
+      
+      this.noteOwnChange(entry);
+      entry.reverted = true;
+      reverted++;
+    });
+    
+    return reverted;
+  }
+
+  /**
+   * Audit the tab order without changing the page
+   * @param {Element} container - The container to audit (default: the configured container)
+   * @returns {Object|null} - A structured audit report, or null if the container was not found
+   */
+  audit(container) {
+    const root = container || document.querySelector(this.container);
+    if (!root) {
+      console.error(`Container ${this.container} not found`);
+      return null;
+    }
+    
+    const previousFindings = this.findings;
+    const previousJournal = this.changeJournal;
+    const previousJournalEntries = this.journalEntries;
+    const previousReportedFindings = this.reportedFindings;
+    const previousReportOnly = this.reportOnly;
+    let tabSequence = [];
+    
+    this.findings = [];
+    this.reportedFindings = new WeakMap();
+    this.changeJournal = [];
+    this.journalEntries = new WeakMap();
+    this.reportOnly = true;
+    
+    try {
+      this.runRules(root, 'audit');
+      tabSequence = this.analyzeTabOrder(root);
+      
+      return this.createAuditReport(this.findings, tabSequence, root);
+    } finally {
+      this.findings = previousFindings;
+      this.changeJournal = previousJournal;
+      this.journalEntries = previousJournalEntries;
+      this.reportedFindings = previousReportedFindings;
+      this.reportOnly = previousReportOnly;
+    }
+  }
+
+  /**
+   * Build an audit report from findings and a tab sequence
+   * @param {Array} findings - The recorded findings
+   * @param {Array} tabSequence - The result of analyzeTabOrder()
+   * @param {Element} container - The audited container
+   * @returns {Object} - The audit report
+   */
+  createAuditReport(findings, tabSequence, container) {
+    const bySeverity = { error: 0, warning: 0, info: 0 };
+    const byRule = {};
+    
+    findings.forEach(finding => {
+      bySeverity[finding.severity] = (bySeverity[finding.severity] || 0) + 1;
+      byRule[finding.ruleId] = (byRule[finding.ruleId] || 0) + 1;
+    });
+    
+    return {
+      tool: 'TabindexManager',
+      url: document.URL,
+      timestamp: new Date().toISOString(),
+      container: this.getElementSelector(container),
+      summary: {
+        total: findings.length,
+        bySeverity,
+        byRule
+      },
+      findings: findings.slice(),
+      tabSequence: tabSequence.map((entry, index) => ({
+        position: index + 1,
+        tagName: entry.element.tagName.toLowerCase(),
+        tabindex: entry.tabindex,
+        selector: this.getElementSelector(entry.element),
+        xpath: this.getElementXPath(entry.element)
+      }))
+    };
+  }
+
+  /**
+   * Export an audit report in one of the supported formats
+   * @param {Object} report - The report returned by audit()
+   * @param {string} format - 'json', 'sarif' or 'html' (default: 'json')
+   * @returns {string} - The serialized report
+   */
+  exportAuditReport(report, format = 'json') {
+    switch (format) {
+      case 'json':
+        return JSON.stringify(report, null, 2);
+      case 'sarif':
+        return JSON.stringify(this.auditReportToSarif(report), null, 2);
+      case 'html':
+        return this.auditReportToHtml(report);
+      default:
+        throw new Error(`Unsupported audit report format: ${format}`);
+    }
+  }
+
+  /**
+   * Convert an audit report to a SARIF 2.1.0 log
+   * @param {Object} report - The report returned by audit()
+   * @returns {Object} - The SARIF log
+   */
+  auditReportToSarif(report) {
+    const levels = { error: 'error', warning: 'warning', info: 'note' };
+    const ruleIds = Object.keys(this.rules);
+    
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: report.tool,
+            informationUri: 'https://www.w3.org/WAI/WCAG22/quickref/',
+            // Rules registered by the page may leave out their name, description or WCAG criterion
+            rules: ruleIds.map(id => ({
+              id,
+              name: this.rules[id].name || id,
+              shortDescription: { text: this.rules[id].name || id },
+              fullDescription: { text: this.rules[id].description || this.rules[id].name || id },
+              defaultConfiguration: { level: levels[this.rules[id].severity] || 'warning' },
+              properties: {
+                tags: ['accessibility'].concat(this.rules[id].wcag ? `wcag${this.rules[id].wcag.replace(/\./g, '')}` : [])
+              }
+            }))
+          }
+        },
+        invocations: [{
+          executionSuccessful: true,
+          endTimeUtc: report.timestamp
+        }],
+        results: report.findings.map(finding => ({
+          ruleId: finding.ruleId,
+          ruleIndex: ruleIds.indexOf(finding.ruleId),
+          level: levels[finding.severity] || 'warning',
+          message: { text: finding.message },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: report.url }
+            },
+            logicalLocations: [{
+              fullyQualifiedName: finding.selector,
+              decoratedName: finding.xpath,
+              kind: 'element'
+            }]
+          }],
+          properties: {
+            wcag: finding.wcag,
+            attribute: finding.attribute,
+            before: finding.before,
+            after: finding.after,
+            styles: finding.styles
+          }
+        }))
+      }]
+    };
+  }
+
+  /**
+   * Convert an audit report to a standalone HTML document
+   * @param {Object} report - The report returned by audit()
+   * @returns {string} - The HTML document
+   */
+  auditReportToHtml(report) {
+    const escape = value => String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    
+    const findingRows = report.findings.map(finding => `
+          <tr>
+            <td>${escape(finding.severity)}</td>
+            <td>${escape(finding.ruleId)}</td>
+            <td>${escape(finding.wcag)}</td>
+            <td>${escape(finding.message)}</td>
+            <td><code>${escape(finding.selector)}</code></td>
+            <td><code>${escape(finding.before)}</code></td>
+            <td><code>${escape(finding.after)}</code></td>
+          </tr>`).join('');
+    
+    const sequenceRows = report.tabSequence.map(entry => `
+          <tr>
+            <td>${entry.position}</td>
+            <td>${escape(entry.tagName)}</td>
+            <td>${entry.tabindex}</td>
+            <td><code>${escape(entry.selector)}</code></td>
+          </tr>`).join('');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Tab order audit - ${escape(report.url)}</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 2rem; }
+    th, td { border: 1px solid #767676; padding: 0.25rem 0.5rem; text-align: left; vertical-align: top; }
+    caption { font-weight: bold; text-align: left; padding: 0.5rem 0; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>Tab order audit</h1>
+    <p>${escape(report.url)} &mdash; ${escape(report.timestamp)}</p>
+    <p>${report.summary.total} findings: ${report.summary.bySeverity.error || 0} errors, ${report.summary.bySeverity.warning || 0} warnings, ${report.summary.bySeverity.info || 0} info</p>
+    <table>
+      <caption>Findings</caption>
+      <thead>
+        <tr><th scope="col">Severity</th><th scope="col">Rule</th><th scope="col">WCAG</th><th scope="col">Message</th><th scope="col">Element</th><th scope="col">Before</th><th scope="col">After</th></tr>
+      </thead>
+      <tbody>${findingRows}
+      </tbody>
+    </table>
+    <table>
+      <caption>Tab sequence</caption>
+      <thead>
+        <tr><th scope="col">#</th><th scope="col">Element</th><th scope="col">Tabindex</th><th scope="col">Selector</th></tr>
+      </thead>
+      <tbody>${sequenceRows}
+      </tbody>
+    </table>
+  </main>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Build a stable CSS selector for an element
+   * @param {Element} element - The element to describe
+   * @returns {string} - A selector that matches only this element ('>>>' separates shadow hosts from their contents)
+   */
+  getElementSelector(element) {
+    const escapeIdent = value => (window.CSS && CSS.escape) ? CSS.escape(value) : value.replace(/([^\w-])/g, '\\$1');
+    const root = element.getRootNode();
+    const parts = [];
+    let current = element;
+    
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      // Stop at the nearest element with a unique id
+      if (current.id) {
+        const idSelector = '#' + escapeIdent(current.id);
+        if (root.querySelectorAll(idSelector).length === 1) {
+          parts.unshift(idSelector);
+          break;
+        }
+      }
+      
+      let part = current.tagName.toLowerCase();
+      const parent = current.parentElement;
+      if (parent) {
+        const sameTagSiblings = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+        if (sameTagSiblings.length > 1) {
+          part += `:nth-of-type(${sameTagSiblings.indexOf(current) + 1})`;
+        }
+      }
+      
+      parts.unshift(part);
+      current = parent;
+    }
+    
+    // Elements in a shadow root or frame are described relative to their host or frame element
+    const hostElement = root.host || this.getOwnerFrameElement(root);
+    if (hostElement) {
+      return `${this.getElementSelector(hostElement)} >>> ${parts.join(' > ')}`;
+    }
+    
+    return parts.join(' > ');
+  }
+
+  /**
+   * Get the iframe element that holds a document
+   * @param {Node} root - A document or shadow root
+   * @returns {Element|null} - The frame element, or null for the top document and shadow roots
+   */
+  getOwnerFrameElement(root) {
+    if (root.nodeType !== Node.DOCUMENT_NODE || root === document || !root.defaultView) {
+      return null;
+    }
+    
+    try {
+      return root.defaultView.frameElement;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build an XPath expression for an element
+   * @param {Element} element - The element to describe
+   * @returns {string} - An XPath that matches only this element ('>>>' separates shadow hosts from their contents)
+   */
+  getElementXPath(element) {
+    const root = element.getRootNode();
+    const hostElement = root.host || this.getOwnerFrameElement(root);
+    const hostPrefix = hostElement ? `${this.getElementXPath(hostElement)} >>> ` : '';
+    const parts = [];
+    let current = element;
+    
+    while (current && current.nodeType === Node.ELEMENT_NODE) {
+      if (current.id && root.querySelectorAll(`[id="${current.id.replace(/"/g, '\\"')}"]`).length === 1) {
+        parts.unshift(`//*[@id="${current.id}"]`);
+        return hostPrefix + parts.join('/');
+      }
+      
+      const tagName = current.tagName.toLowerCase();
+      let index = 1;
+      let sibling = current.previousElementSibling;
+      while (sibling) {
+        if (sibling.tagName === current.tagName) {
+          index++;
+        }
+        sibling = sibling.previousElementSibling;
+      }
+      
+      parts.unshift(`${tagName}[${index}]`);
+      current = current.parentElement;
+    }
+    
+    return hostPrefix + '/' + parts.join('/');
+  }
+
+  /**
+   * Set up focus trapping within a modal or dialog
+   *
+   * Focus traps share a global stack: opening a trap pauses the one below it and
+   * closing it resumes the previous trap, so nested dialogs don't fight each other.
+   * Everything outside the active trap is made inert. With processSameOriginFrames,
+   * the content of same-origin frames inside the modal is part of the trapped region.
+   * @param {Element} modalElement - The modal or dialog element
+   * @param {Object} options - Options for the focus trap
+   * @param {boolean} options.returnFocusOnClose - Whether to return focus to the element that triggered the modal
+   * @param {Element} options.triggerElement - The element that triggered the modal (for returning focus)
+   * @returns {Object} - Functions to control the focus trap
+   */
+  setupFocusTrap(modalElement, options = {}) {
+    if (!modalElement) {
+      return { 
+        remove: () => {},
+        updateTabbableElements: () => {},
+        pause: () => {},
+        resume: () => {}
+      };
+    }
+    
+    const stack = TabindexManager.focusTrapStack;
+    const returnFocusOnClose = options.returnFocusOnClose !== false;
+    const triggerElement = options.triggerElement || this.getDeepActiveElement();
+    
+    // Store the element that had focus before the modal was opened
+    const previouslyFocusedElement = triggerElement;
+    
+    // Find all tabbable elements within the modal
+    let tabbableElements = this.findTabbableElements(modalElement);
+    
+    if (tabbableElements.length === 0) {
+      console.warn('No tabbable elements found in modal');
+      // Add a tabindex to the modal itself if there are no tabbable elements
+      this.changeAttribute(modalElement, 'tabindex', '0', 'focus-trap');
+      tabbableElements = [modalElement];
+    }
+    
+    let firstTabbable = tabbableElements[0];
+    let lastFocusedInside = null;
+    let inertChanges = [];
+    let trappedDocuments = [];
+    let paused = true;
+    
+    const isTopOfStack = () => stack[stack.length - 1] === focusTrap;
+    
+    // Handle keyboard events
+    const handleKeyDown = (event) => {
+      if (paused || !isTopOfStack()) {
+        return;
+      }
+      
+      // Take over Tab so focus always wraps within the trap, wherever it currently is
+      if (event.key === 'Tab') {
+        const currentElements = this.findTabbableElements(modalElement);
+        const elements = currentElements.length > 0 ? currentElements : [modalElement];
+        const currentIndex = elements.indexOf(this.getDeepActiveElement());
+        let targetIndex;
+        
+        // Shift + Tab
+        if (event.shiftKey) {
+          targetIndex = currentIndex <= 0 ? elements.length - 1 : currentIndex - 1;
+        }
+        // Tab
+        else {
+          targetIndex = currentIndex === -1 || currentIndex === elements.length - 1 ? 0 : currentIndex + 1;
+        }
+        
+        event.preventDefault();
+        elements[targetIndex].focus();
+      }
+      
+      // Check for Escape key
+      if (event.key === 'Escape') {
+        if (modalElement.hasAttribute('aria-modal') || modalElement.getAttribute('role') === 'dialog') {
+          const closeButton = modalElement.querySelector('[aria-label="Close"], .close, .btn-close');
+          if (closeButton) {
+            closeButton.click();
+          }
+        }
+      }
+    };
+    
+    // Pull focus back in when it escapes by mouse, script or screen reader
+    const handleFocusIn = (event) => {
+      if (paused || !isTopOfStack()) {
+        return;
+      }
+      
+      // Focus events are retargeted at shadow boundaries, so use the real target
+      const focusTarget = event.composedPath ? event.composedPath()[0] : event.target;
+      if (this.composedContains(modalElement, focusTarget)) {
+        lastFocusedInside = focusTarget;
+        return;
+      }
+      
+      const target = lastFocusedInside && this.composedContains(modalElement, lastFocusedInside)
+        ? lastFocusedInside
+        : firstTabbable;
+      target.focus();
+    };
+    
+    const activate = () => {
+      if (!paused) {
+        return;
+      }
+      paused = false;
+      inertChanges = this.makeBackgroundInert(modalElement);
+      
+      // Key events inside same-origin frames don't reach the outer document
+      trappedDocuments = [document, ...this.findFrameDocuments(modalElement)];
+      trappedDocuments.forEach(trappedDocument => {
+        this.addListener(trappedDocument, 'keydown', handleKeyDown, true);
+        this.addListener(trappedDocument, 'focusin', handleFocusIn, true);
+      });
+    };
+    
+    const deactivate = () => {
+      if (paused) {
+        return;
+      }
+      paused = true;
+      inertChanges.reverse().forEach(change => this.revert(change.id));
+      inertChanges = [];
+      trappedDocuments.forEach(trappedDocument => {
+        this.removeListener(trappedDocument, 'keydown', handleKeyDown);
+        this.removeListener(trappedDocument, 'focusin', handleFocusIn);
+      });
+      trappedDocuments = [];
+    };
+    
+    // Create a function to update the tabbable elements (useful for dynamic content)
+    const updateTabbableElements = () => {
+      const updatedElements = this.findTabbableElements(modalElement);
+      if (updatedElements.length > 0) {
+        tabbableElements = updatedElements;
+        firstTabbable = tabbableElements[0];
+      }
+    };
+    
+    // Return functions to control the focus trap
+    const focusTrap = {
+      element: modalElement,
+      remove: () => {
+        const index = stack.indexOf(focusTrap);
+        if (index === -1) {
+          return;
+        }
+        
+        const wasTop = index === stack.length - 1;
+        stack.splice(index, 1);
+        this.activeFocusTraps.delete(focusTrap);
+        deactivate();
+        
+        // Resume the trap this one was opened from
+        const parentTrap = wasTop ? stack[stack.length - 1] : null;
+        if (parentTrap) {
+          parentTrap.resume();
+        }
+        
+        if (wasTop && returnFocusOnClose) {
+          // Return focus to the element that opened the modal, or into the resumed trap
+          this.setTimer(() => {
+            if (previouslyFocusedElement && previouslyFocusedElement.isConnected &&
+                typeof previouslyFocusedElement.focus === 'function' &&
+                (!parentTrap || this.composedContains(parentTrap.element, previouslyFocusedElement))) {
+              previouslyFocusedElement.focus();
+            } else if (parentTrap) {
+              parentTrap.focusFirst();
+            }
+          }, 50);
+        }
+      },
+      pause: deactivate,
+      resume: activate,
+      focusFirst: () => {
+        updateTabbableElements();
+        firstTabbable.focus();
+      },
+      updateTabbableElements
+    };
+    
+    // Pause the current trap and make this one active
+    if (stack.length > 0) {
+      stack[stack.length - 1].pause();
+    }
+    stack.push(focusTrap);
+    this.activeFocusTraps.add(focusTrap);
+    activate();
+    
+    // Screen readers only announce the opening of modals they recognize as dialogs
+    if (!['dialog', 'alertdialog'].includes(modalElement.getAttribute('role')) && modalElement.tagName !== 'DIALOG') {
+      const heading = modalElement.querySelector('h1, h2, h3, h4, h5, h6, .modal-title');
+      const name = this.getAccessibleName(modalElement) || (heading && this.getAccessibleName(heading));
+      this.announce(name ? this.t('dialog.opened', { name }) : this.t('dialog.openedUnnamed'), { dedupeKey: 'focus-trap' });
+    }
+    
+    // Set initial focus after a small delay to ensure the modal is visible
+    this.setTimer(() => {
+      if (!paused) {
+        firstTabbable.focus();
+      }
+    }, 50);
+    
+    return focusTrap;
+  }
+  
+  /**
+   * Make everything outside an element inert so it can't be focused, clicked or read
+   * @param {Element} element - The element that stays interactive
+   * @returns {Array} - The journal entries for the changes, for reverting
+   */
+  makeBackgroundInert(element) {
+    const supportsInert = 'inert' in HTMLElement.prototype;
+    const skipSelector = 'script, style, link, meta, template, [aria-live], [role="status"], [role="alert"], [role="log"]';
+    const changes = [];
+    const keep = change => {
+      if (change) {
+        changes.push(change);
+      }
+    };
+    
+    let current = element;
+    while (current && current !== document.body && current.parentNode &&
+           current.parentNode.nodeType !== Node.DOCUMENT_NODE) {
+      const parentNode = current.parentNode;
+      
+      // The trapped element may sit inside a region made inert by a paused trap
+      if (supportsInert) {
+        keep(this.changeAttribute(current, 'inert', null, 'focus-trap'));
+      } else if (current.getAttribute('aria-hidden') === 'true') {
+        keep(this.changeAttribute(current, 'aria-hidden', null, 'focus-trap'));
+      }
+      
+      Array.from(parentNode.children).forEach(sibling => {
+        if (sibling === current || sibling.matches(skipSelector)) {
+          return;
+        }
+        
+        changes.push(...this.makeInert(sibling, 'focus-trap'));
+      });
+      
+      // Continue from the shadow host when the element is inside a shadow root
+      current = parentNode.host || parentNode;
+    }
+    
+    return changes;
+  }
+  
+  /**
+   * Make an element and its content unreachable by keyboard and assistive technology
+   * @param {Element} element - The element to make inert
+   * @param {string} source - The rule or component making the change
+   * @returns {Array} - The journal entries, for reverting the change later
+   */
+  makeInert(element, source) {
+    if ('inert' in HTMLElement.prototype) {
+      const change = this.changeAttribute(element, 'inert', '', source);
+      return change ? [change] : [];
+    }
+    
+    // Without inert, hide the region from assistive technology and the tab order
+    const tabbables = this.findTabbableElements(element);
+    if (this.isTabbable(element)) {
+      tabbables.unshift(element);
+    }
+    
+    return [
+      this.changeAttribute(element, 'aria-hidden', 'true', source),
+      ...tabbables.map(tabbable => this.changeAttribute(tabbable, 'tabindex', '-1', source))
+    ].filter(Boolean);
+  }
+  
+  /**
+   * Find all tabbable elements within a container, including open shadow roots
+   * @param {Element} container - The container element
+   * @returns {Array} - Array of tabbable elements in tab order
+   */
+  findTabbableElements(container) {
+    return this.getComposedTabSequence(container);
+  }
+  
+  /**
+   * Find the tabbable elements a check covers, which includes the container itself when it is tabbable
+   * @param {Element} container - The container element, such as a node the page just added or changed
+   * @returns {Array} - The container, if tabbable, followed by its tabbable elements in tab order
+   */
+  findCheckedElements(container) {
+    const elements = this.findTabbableElements(container);
+    if (container.nodeType === Node.ELEMENT_NODE && this.isTabbable(container)) {
+      elements.unshift(container);
+    }
+    return elements;
+  }
+  
+  /**
+   * Check if an element is currently reachable with the Tab key
+   * @param {Element} element - The element to check
+   * @returns {boolean} - Whether the element is in the tab order
+   */
+  isTabbable(element) {
+    // Elements with an interactive role but no tabindex can't actually receive focus
+    if (!element.hasAttribute('tabindex') && !this.isNativelyFocusable(element)) {
+      return false;
+    }
+    
+    const tabindex = parseInt(element.getAttribute('tabindex') || '0', 10);
+    return tabindex >= 0 && !element.disabled && !this.shouldBeRemovedFromTabOrder(element);
+  }
+  
+  /**
+   * Set up a mutation observer to handle dynamically added content
+   *
+   * Only the added or changed subtrees are collected. They are merged and processed
+   * in one pass per animation frame (or idle callback), and the manager's own
+   * attribute writes are ignored so it doesn't react to itself.
+   * @param {Element} container - The container to observe
+   */
+  setupMutationObserver(container) {
+    const relevantAttributes = [
+      'tabindex', 'disabled', 'aria-hidden', 
+      'hidden', 'style', 'display', 'visibility'
+    ];
+    
+    // Replace any observer from an earlier fix() call
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.observers.delete(this.mutationObserver);
+    }
+    
+    // Create a mutation observer to watch for changes in the DOM
+    const observer = new MutationObserver((mutations) => {
+      // Collect the subtrees that are relevant to tabindex accessibility
+      mutations.forEach(mutation => {
+        // Check if nodes were added
+        if (mutation.type === 'childList') {
+          mutation.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && !this.ownInsertedElements.has(node)) {
+              this.pendingMutationRoots.add(node);
+            }
+          });
+        }
+        
+        // Check for attribute changes related to visibility or tabindex. Script parking an
+        // element at an intentional tabindex="-1" again needs no reprocessing.
+        if (mutation.type === 'attributes' &&
+            relevantAttributes.includes(mutation.attributeName) &&
+            !this.isOwnAttributeWrite(mutation.target, mutation.attributeName) &&
+            !(mutation.attributeName === 'tabindex' && mutation.target.getAttribute('tabindex') === '-1' &&
+              this.intentionalTabindex.has(mutation.target))) {
+          this.pendingMutationRoots.add(mutation.target);
+        }
+      });
+      
+      this.processingStats.mutations += mutations.length;
+      
+      if (this.pendingMutationRoots.size > 0) {
+        this.overlayCandidates = null;
+        this.scheduleMutationProcessing(container);
+      }
+    });
+    
+    // Start observing the container and the shadow roots inside it
+    this.mutationObserverOptions = {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: relevantAttributes
+    };
+    observer.observe(container, this.mutationObserverOptions);
+    
+    // Store the observer reference for cleanup
+    this.mutationObserver = observer;
+    this.observers.add(observer);
+    this.observedRoots = new WeakSet();
+    this.observeNestedRoots(container);
+  }
+  
+  /**
+   * Extend the mutation observer to the open shadow roots and same-origin frames in a subtree
+   * @param {Element} root - The subtree to search
+   */
+  observeNestedRoots(root) {
+    if (!this.mutationObserver) {
+      return;
+    }
+    
+    const nestedRoots = this.findShadowRoots(root);
+    this.findFrameDocuments(root).forEach(frameDocument => {
+      nestedRoots.push(frameDocument, ...this.findShadowRoots(frameDocument));
+    });
+    
+    nestedRoots.forEach(nestedRoot => {
+      if (!this.observedRoots.has(nestedRoot)) {
+        this.observedRoots.add(nestedRoot);
+        this.mutationObserver.observe(nestedRoot, this.mutationObserverOptions);
+      }
+    });
+  }
+  
+  /**
+   * Schedule one processing pass for the collected mutation roots
+   * @param {Element} container - The observed container
+   */
+  scheduleMutationProcessing(container) {
+    if (this.mutationProcessingHandle) {
+      return;
+    }
+    
+    const run = () => {
+      this.mutationProcessingHandle = null;
+      this.processPendingMutations(container);
+    };
+    
+    if (this.mutationProcessing === 'idle' && typeof window.requestIdleCallback === 'function') {
+      this.mutationProcessingHandle = { type: 'idle', id: window.requestIdleCallback(run, { timeout: 500 }) };
+    } else if (typeof window.requestAnimationFrame === 'function') {
+      this.mutationProcessingHandle = { type: 'frame', id: window.requestAnimationFrame(run) };
+    } else {
+      this.mutationProcessingHandle = { type: 'timer', id: this.setTimer(run, 16) };
+    }
+  }
+  
+  /**
+   * Cancel a scheduled mutation processing pass
+   */
+  cancelMutationProcessing() {
+    const handle = this.mutationProcessingHandle;
+    if (!handle) {
+      return;
+    }
+    
+    if (handle.type === 'idle') {
+      window.cancelIdleCallback(handle.id);
+    } else if (handle.type === 'frame') {
+      window.cancelAnimationFrame(handle.id);
+    } else {
+      clearTimeout(handle.id);
+    }
+    this.mutationProcessingHandle = null;
+  }
+  
+  /**
+   * Merge the collected mutation roots and process each remaining subtree once
+   * @param {Element} container - The observed container
+   */
+  processPendingMutations(container) {
+    const pending = this.pendingMutationRoots;
+    this.pendingMutationRoots = new Set();
+    
+    // Drop roots that were removed again or sit inside another pending root
+    const roots = Array.from(pending).filter(node => {
+      if (!node.isConnected || !this.composedContains(container, node)) {
+        return false;
+      }
+      
+      let ancestor = this.getComposedParent(node);
+      while (ancestor && ancestor !== container) {
+        if (pending.has(ancestor)) {
+          return false;
+        }
+        ancestor = this.getComposedParent(ancestor);
+      }
+      return true;
+    });
+    
+    if (roots.length === 0) {
+      return;
+    }
+    
+    const startTime = performance.now();
+    roots.forEach(root => {
+      this.processDynamicContent(root);
+      this.observeNestedRoots(root);
+    });
+    const duration = performance.now() - startTime;
+    
+    const stats = this.processingStats;
+    stats.batches++;
+    stats.roots += roots.length;
+    stats.lastDuration = duration;
+    stats.totalDuration += duration;
+    stats.maxDuration = Math.max(stats.maxDuration, duration);
+  }
+  
+  /**
+   * Get timing statistics for mutation processing
+   * @returns {Object} - Batch, root and mutation counts and durations in milliseconds
+   */
+  getProcessingStats() {
+    const stats = this.processingStats;
+    return Object.assign({}, stats, {
+      averageDuration: stats.batches > 0 ? stats.totalDuration / stats.batches : 0,
+      pendingRoots: this.pendingMutationRoots.size
+    });
+  }
+  
+  /**
+   * Remember an attribute value the manager wrote, so the mutation observer can ignore it
+   * @param {Element} element - The element that was changed
+   * @param {string} name - The attribute name
+   */
+  noteOwnAttributeWrite(element, name) {
+    let attributes = this.ownAttributeWrites.get(element);
+    if (!attributes) {
+      attributes = new Map();
+      this.ownAttributeWrites.set(element, attributes);
+    }
+    attributes.set(name, element.getAttribute(name));
+  }
+  
+  /**
+   * Check whether an attribute still holds the value the manager wrote
+   * @param {Element} element - The element that changed
+   * @param {string} name - The attribute name
+   * @returns {boolean} - Whether the change came from the manager
+   */
+  isOwnAttributeWrite(element, name) {
+    const attributes = this.ownAttributeWrites.get(element);
+    return Boolean(attributes && attributes.has(name) && attributes.get(name) === element.getAttribute(name));
+  }
+  
+  /**
+   * Process dynamically added content for tabindex issues
+   * @param {Element} container - The container with dynamic content
+   */
+  processDynamicContent(container) {
+    if (this.destroyed || this.getMarkupOverrides(container).ignored) {
+      return;
+    }
+    
+    // Apply the same rules as the main fix() method
+    this.runRules(container, 'dynamic');
+  }
+  
+  /**
+   * Detect and set up focus trapping for dialogs and modals in dynamic content
+   * @param {Element} container - The container to search in
+   */
+  detectAndHandleDialogs(container) {
+    const dialogSelectors = [
+      '[role="dialog"]',
+      '[role="alertdialog"]',
+      '.modal[aria-modal="true"]',
+      '.dialog[aria-modal="true"]'
+    ];
+    
+    const dialogs = this.queryAll(container, dialogSelectors.join(','));
+    
+    dialogs.forEach(dialog => {
+      // Only set up if the dialog is visible and doesn't already have a focus trap
+      if (!this.isVisuallyHidden(dialog) && !dialog.hasAttribute('data-focus-trap-active')) {
+        dialog.setAttribute('data-focus-trap-active', 'true');
+        
+        const focusTrap = this.setupFocusTrap(dialog, {
+          returnFocusOnClose: this.returnFocusOnDynamicContentClose
+        });
+        
+        // Store the focus trap removal function on the dialog element
+        dialog._removeFocusTrap = focusTrap.remove;
+        
+        // Set up a listener for when the dialog is closed or hidden
+        const dialogObserver = new MutationObserver((mutations) => {
+          mutations.forEach(mutation => {
+            if (mutation.type === 'attributes') {
+              if (this.isVisuallyHidden(dialog) || dialog.getAttribute('aria-hidden') === 'true') {
+                // Dialog was hidden, remove the focus trap
+                if (dialog._removeFocusTrap) {
+                  dialog._removeFocusTrap();
+                  delete dialog._removeFocusTrap;
+                }
+                dialog.removeAttribute('data-focus-trap-active');
+                dialogObserver.disconnect();
+                this.observers.delete(dialogObserver);
+              }
+            }
+          });
+        });
+        
+        dialogObserver.observe(dialog, {
+          attributes: true,
+          attributeFilter: ['style', 'class', 'hidden', 'aria-hidden']
+        });
+        this.observers.add(dialogObserver);
+      }
+    });
+  }
+  
+  /**
+   * Set up event handlers for dynamic content loading
+   */
+  setupDynamicContentHandlers() {
+    if (this.dynamicContentHandlersInstalled) {
+      return;
+    }
+    this.dynamicContentHandlersInstalled = true;
+    
+    // Common events that might load dynamic content in JSP/AJAX applications
+    const dynamicContentEvents = [
+      'ajaxComplete',       // jQuery ajax complete
+      'ajax:success',       // Rails ajax success
+      'htmx:afterSwap',     // HTMX content swap
+      'load-complete',      // Custom event for content loading
+      'content-update',     // Custom event for content updates
+      'dialog:opened',      // Dialog opened event
+      'modal:opened',       // Modal opened event
+      'pagination-complete' // Pagination event
+    ];
+    
+    // Listen for events that might signal dynamic content
+    dynamicContentEvents.forEach(eventName => {
+      this.addListener(document, eventName, (event) => {
+        // For events that include target information
+        let target = event.target || document.body;
+        
+        // Special case for jQuery events
+        if (event.detail && event.detail.target) {
+          target = event.detail.target;
+        }
+        
+        // Process the new content
+        this.setTimer(() => {
+          this.processDynamicContent(target);
+          
+          // Focus the first interactive element if configured to do so
+          if (this.focusFirstElementInDynamicContent) {
+            const tabbableElements = this.findTabbableElements(target);
+            if (tabbableElements.length > 0) {
+              tabbableElements[0].focus();
+            }
+          }
+        }, 100); // Small delay to ensure the DOM is fully updated
+      });
+    });
+    
+    // Listen for XHR and fetch completions (for AJAX not using jQuery)
+    this.setupXhrInterception();
+    
+    if (this.enableFetchInterception) {
+      this.setupFetchInterception();
+    }
+  }
+  
+  /**
+   * Wrap XMLHttpRequest so completed requests trigger dynamic content processing
+   */
+  setupXhrInterception() {
+    if (this.originalXhrMethods) {
+      return;
+    }
+    
+    const originalXhrOpen = XMLHttpRequest.prototype.open;
+    const originalXhrSend = XMLHttpRequest.prototype.send;
+    const self = this;
+    
+    XMLHttpRequest.prototype.open = function() {
+      this._tabindexManagerUrl = arguments[1];
+      return originalXhrOpen.apply(this, arguments);
+    };
+    
+    XMLHttpRequest.prototype.send = function() {
+      const xhr = this;
+      
+      // Another script may have wrapped these methods after us, so they can outlive destroy()
+      if (self.destroyed || !self.shouldProcessRequest(xhr._tabindexManagerUrl)) {
+        return originalXhrSend.apply(xhr, arguments);
+      }
+      
+      const originalOnReadyStateChange = xhr.onreadystatechange;
+      
+      xhr.onreadystatechange = function() {
+        if (xhr.readyState === 4) {
+          self.handleRequestComplete(xhr._tabindexManagerUrl, xhr);
+        }
+        
+        if (originalOnReadyStateChange) {
+          originalOnReadyStateChange.apply(xhr, arguments);
+        }
+      };
+      
+      return originalXhrSend.apply(xhr, arguments);
+    };
+    
+    // Keep the originals and our wrappers so destroy() can restore the prototype
+    this.originalXhrMethods = {
+      open: originalXhrOpen,
+      send: originalXhrSend,
+      wrappedOpen: XMLHttpRequest.prototype.open,
+      wrappedSend: XMLHttpRequest.prototype.send
+    };
+  }
+  
+  /**
+   * Wrap window.fetch so completed requests trigger dynamic content processing
+   */
+  setupFetchInterception() {
+    if (this.originalFetch || typeof window.fetch !== 'function') {
+      return;
+    }
+    
+    const originalFetch = window.fetch;
+    const self = this;
+    
+    const wrappedFetch = function(input) {
+      const promise = originalFetch.apply(this, arguments);
+      const url = input && typeof input === 'object' && 'url' in input ? input.url : String(input);
+      
+      if (!self.destroyed && self.shouldProcessRequest(url)) {
+        promise.then(response => {
+          self.handleRequestComplete(url, response);
+        }, () => {
+          // Failed requests don't update the page
+        });
+      }
+      
+      return promise;
+    };
+    
+    window.fetch = wrappedFetch;
+    
+    // Keep the original and our wrapper so destroy() can restore it
+    this.originalFetch = {
+      fetch: originalFetch,
+      wrappedFetch
+    };
+  }
+  
+  /**
+   * Check a request URL against the include and exclude filters
+   * @param {string} url - The request URL
+   * @returns {boolean} - Whether the request should trigger processing
+   */
+  shouldProcessRequest(url) {
+    let absoluteUrl = String(url || '');
+    try {
+      absoluteUrl = new URL(absoluteUrl, document.baseURI).href;
+    } catch (error) {
+      // Keep the URL as given if it can't be resolved
+    }
+    
+    const matches = filter => {
+      if (typeof filter === 'function') {
+        return Boolean(filter(absoluteUrl));
+      }
+      if (filter instanceof RegExp) {
+        return filter.test(absoluteUrl);
+      }
+      return absoluteUrl.indexOf(filter) !== -1;
+    };
+    
+    const include = this.dynamicContentUrlFilters.include || [];
+    const exclude = this.dynamicContentUrlFilters.exclude || [];
+    
+    if (exclude.some(matches)) {
+      return false;
+    }
+    return include.length === 0 || include.some(matches);
+  }
+  
+  /**
+   * Tell the manager which region of the page the next completed request updates
+   * @param {Element|string} region - The updated element, or a selector for it
+   */
+  markUpdatedRegion(region) {
+    const element = typeof region === 'string' ? document.querySelector(region) : region;
+    if (element) {
+      this.pendingUpdatedRegions.add(element);
+    }
+  }
+  
+  /**
+   * Process the regions a completed request updated
+   * @param {string} url - The request URL
+   * @param {XMLHttpRequest|Response} response - The completed request
+   */
+  handleRequestComplete(url, response) {
+    // Check for DOM updates after a small delay so the application can render the response
+    this.setTimer(() => {
+      this.getUpdatedRegions(url, response).forEach(region => {
+        this.processDynamicContent(region);
+        this.announceUpdatedRegion(region);
+      });
+      
+      // The response answers the forms submitted before it
+      this.pendingFormSubmits.forEach(state => {
+        this.updateFormErrors(state, false);
+        state.submitPhase = null;
+      });
+      this.pendingFormSubmits.clear();
+    }, this.dynamicContentDelay);
+  }
+  
+  /**
+   * Work out which regions a completed request updated
+   * @param {string} url - The request URL
+   * @param {XMLHttpRequest|Response} response - The completed request
+   * @returns {Array} - The regions to process
+   */
+  getUpdatedRegions(url, response) {
+    // A selector, an element, or any iterable of elements such as a NodeList
+    const toElements = value => {
+      if (!value) {
+        return [];
+      }
+      if (typeof value === 'string') {
+        return Array.from(document.querySelectorAll(value));
+      }
+      const values = typeof value[Symbol.iterator] === 'function' ? Array.from(value) : [value];
+      return values.filter(element => element && element.nodeType === Node.ELEMENT_NODE);
+    };
+    
+    // 1. The application's resolver
+    if (this.resolveUpdatedRegion) {
+      let resolved = [];
+      try {
+        resolved = toElements(this.resolveUpdatedRegion(url, response));
+      } catch (error) {
+        console.warn('resolveUpdatedRegion failed:', error);
+      }
+      if (resolved.length > 0) {
+        return resolved;
+      }
+    }
+    
+    // 2. Regions marked with markUpdatedRegion()
+    if (this.pendingUpdatedRegions.size > 0) {
+      const marked = Array.from(this.pendingUpdatedRegions).filter(region => region.isConnected);
+      this.pendingUpdatedRegions.clear();
+      if (marked.length > 0) {
+        return marked;
+      }
+    }
+    
+    // 3. Fall back to the whole page
+    return [document.body];
+  }
+  
+  /**
+   * Make the validation errors in forms accessible
+   *
+   * Each field with an error gets aria-invalid="true" and aria-describedby referencing
+   * its messages, and the form gets an error summary linking to every invalid field.
+   * An existing summary is upgraded; otherwise one is generated at the top of the form.
+   * Focus moves to the summary when errors are found on page load, in a form added
+   * later (such as one re-rendered by an AJAX submit), or after a submit: from
+   * client-side validation, or in the response to an AJAX submit.
+   * Each form is observed, so corrected fields lose the error state the manager gave them.
+   * @param {Element} container - The container to search in
+   * @param {Object} options - Options
+   * @param {boolean} options.focus - Move focus to the summary whenever there are errors (default: false)
+   */
+  setupFormErrors(container, options = {}) {
+    let focused = false;
+    
+    this.getForms(container).forEach(form => {
+      let state = this.formErrorStates.get(form);
+      const added = !state;
+      if (added) {
+        state = this.registerFormErrors(form);
+      }
+      
+      // Only the first form with errors takes focus
+      focused = this.updateFormErrors(state, !focused && (options.focus || added)) || focused;
+    });
+  }
+  
+  /**
+   * Start tracking the errors of a form
+   * @param {Element} form - The form
+   * @returns {Object} - The form's error state
+   */
+  registerFormErrors(form) {
+    const state = this.createFormErrorState(form);
+    this.formErrorStates.set(form, state);
+    
+    // Client-side validation has shown its messages once the submit handlers have run. Without
+    // errors by then, server-side errors can still come with the response to an AJAX submit.
+    this.addListener(form, 'submit', () => {
+      state.submitPhase = 'submit';
+      state.submittedAt = Date.now();
+      this.setTimer(() => {
+        this.updateFormErrors(state, false);
+        if (state.submitPhase === 'submit') {
+          state.submitPhase = this.enableDynamicContentSupport ? 'request' : null;
+          if (state.submitPhase) {
+            this.pendingFormSubmits.add(state);
+          }
+        }
+      }, 0);
+    });
+    
+    // Client-side validation shows, hides and rewrites messages and toggles error classes
+    const observer = new MutationObserver(() => {
+      if (state.updateTimer === null) {
+        state.updateTimer = this.setTimer(() => {
+          state.updateTimer = null;
+          this.updateFormErrors(state, false);
+        }, 0);
+      }
+    });
+    observer.observe(form, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ['class', 'hidden', 'style', 'aria-invalid']
+    });
+    this.observers.add(observer);
+    
+    return state;
+  }
+  
+  /**
+   * Sync a form's errors and move focus to its summary if needed
+   * @param {Object} state - The form's error state
+   * @param {boolean} focus - Whether to move focus to the summary if there are errors
+   * @returns {boolean} - Whether focus was moved
+   */
+  updateFormErrors(state, focus) {
+    const errors = this.syncFormErrors(state.form, state);
+    
+    // Errors from inline validation after the submit was answered don't move focus. A request
+    // the manager doesn't see answers the submit after 10 seconds.
+    const submitted = state.submitPhase === 'submit' ||
+      (state.submitPhase === 'request' && Date.now() - state.submittedAt < 10000);
+    if (errors.length === 0 || !state.summary || !state.summary.isConnected || !(focus || submitted)) {
+      return false;
+    }
+    
+    state.submitPhase = null;
+    this.pendingFormSubmits.delete(state);
+    state.summary.focus();
+    return true;
+  }
+  
+  /**
+   * Find the forms in a container, including the form the container is part of
+   * @param {Element} container - The container to search in
+   * @returns {Array} - The forms
+   */
+  getForms(container) {
+    const forms = this.queryAll(container, 'form');
+    const owner = container.closest && container.closest('form');
+    if (owner && !forms.includes(owner)) {
+      forms.push(owner);
+    }
+    return forms;
+  }
+  
+  /**
+   * Create the error state of a form
+   * @param {Element} form - The form
+   * @returns {Object} - The form's error state
+   */
+  createFormErrorState(form) {
+    return {
+      form,
+      fields: new Map(),
+      summary: null,
+      summaryChanges: [],
+      list: null,
+      heading: null,
+      signature: '',
+      clickTarget: null,
+      submitPhase: null,
+      submittedAt: 0,
+      updateTimer: null
+    };
+  }
+  
+  /**
+   * Find the fields of a form that have errors, and their visible error messages
+   * @param {Element} form - The form
+   * @param {Object} state - The form's error state
+   * @returns {Array} - { field, messages } for each invalid field, in document order
+   */
+  getFormErrors(form, state) {
+    const errors = new Map();
+    const addError = (field, message) => {
+      if (!errors.has(field)) {
+        errors.set(field, []);
+      }
+      if (message) {
+        errors.get(field).push(message);
+      }
+    };
+    
+    const jspErrorSelector = this.jspErrorSelectors.get(form);
+    const selector = jspErrorSelector ? `${this.formErrorSelector}, ${jspErrorSelector}` : this.formErrorSelector;
+    this.queryAll(form, selector).forEach(message => {
+      if (message.closest(this.formErrorSummarySelector) || !message.textContent.trim() ||
+          message.hidden || this.isVisuallyHidden(message) || this.hasHiddenParent(message)) {
+        return;
+      }
+      const field = this.getErrorField(message, form);
+      if (field) {
+        addError(field, message);
+      }
+    });
+    
+    // Fields the page marks as invalid without a message
+    this.queryAll(form, this.invalidFieldSelector).forEach(field => {
+      if (field.matches(this.formFieldSelector)) {
+        addError(field);
+      }
+    });
+    
+    // aria-invalid counts too, unless the manager set it
+    this.queryAll(form, '[aria-invalid="true"]').forEach(field => {
+      const tracked = state.fields.get(field);
+      if (field.matches(this.formFieldSelector) && !(tracked && tracked.invalid)) {
+        addError(field);
+      }
+    });
+    
+    return Array.from(errors.keys())
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+      .map(field => ({ field, messages: errors.get(field) }));
+  }
+  
+  /**
+   * Find the field an error message belongs to
+   * @param {Element} message - The error message
+   * @param {Element} form - The form the message is in
+   * @returns {Element|null} - The field
+   */
+  getErrorField(message, form) {
+    const isField = element => element && element.matches && element.matches(this.formFieldSelector) &&
+      form.contains(element);
+    
+    // An explicit reference: data-error-for, the for attribute of jQuery Validate labels, or Spring's "path.errors" id
+    const reference = message.getAttribute('data-error-for') || message.getAttribute('for') ||
+      (message.id.endsWith('.errors') ? message.id.slice(0, -'.errors'.length) : null);
+    if (reference) {
+      let field = document.getElementById(reference);
+      if (!isField(field) && form.elements) {
+        const named = form.elements.namedItem(reference);
+        field = named && named.length !== undefined && !named.tagName ? named[0] : named;
+      }
+      if (isField(field)) {
+        return field;
+      }
+    }
+    
+    // A field that already references the message
+    if (message.id) {
+      const describing = this.queryAll(form, this.formFieldSelector).find(field =>
+        (field.getAttribute('aria-describedby') || '').split(/\s+/).includes(message.id));
+      if (describing) {
+        return describing;
+      }
+    }
+    
+    // The field in the same form group
+    const group = message.closest(this.formFieldGroupSelector);
+    if (group && form.contains(group) && group !== form) {
+      const field = group.querySelector(this.formFieldSelector);
+      if (field) {
+        return field;
+      }
+    }
+    
+    // The nearest field before the message
+    for (let sibling = message.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      if (isField(sibling)) {
+        return sibling;
+      }
+      const fields = sibling.querySelectorAll(this.formFieldSelector);
+      if (fields.length > 0) {
+        return fields[fields.length - 1];
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Bring the error state of a form's fields and its error summary up to date
+   * @param {Element} form - The form
+   * @param {Object} state - The form's error state (default: the stored state, or a new one)
+   * @returns {Array} - { field, fieldId, messages } for each invalid field outside regions where the association is off
+   */
+  syncFormErrors(form, state = this.formErrorStates.get(form) || this.createFormErrorState(form)) {
+    const found = this.getFormErrors(form, state);
+    const invalidFields = new Set(found.map(error => error.field));
+    const tokens = element => (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+    
+    // Fields in regions where the association is off are left alone, and out of the summary
+    const errors = found.filter(error => {
+      error.fieldId = this.ensureId(error.field, 'field-', 'form-errors');
+      return error.fieldId !== null;
+    });
+    
+    errors.forEach(error => {
+      const { field, messages } = error;
+      const tracked = state.fields.get(field) || { invalid: false, describedBy: [] };
+      const missing = [];
+      
+      if (field.getAttribute('aria-invalid') !== 'true') {
+        missing.push('aria-invalid');
+        this.changeAttribute(field, 'aria-invalid', 'true', 'form-errors');
+        tracked.invalid = true;
+      }
+      
+      const messageIds = messages
+        .map(message => this.ensureId(message, 'form-error-', 'form-errors'))
+        .filter(Boolean);
+      
+      // Reference the current messages, and drop messages the manager referenced that are gone
+      const stale = tracked.describedBy.filter(id => !messageIds.includes(id));
+      const current = tokens(field).filter(id => !stale.includes(id));
+      const added = messageIds.filter(id => !current.includes(id));
+      if (added.length > 0 || stale.length > 0) {
+        if (added.length > 0) {
+          missing.push('aria-describedby');
+        }
+        this.changeAttribute(field, 'aria-describedby', current.concat(added).join(' ') || null, 'form-errors');
+      }
+      tracked.describedBy = tracked.describedBy.filter(id => messageIds.includes(id)).concat(added);
+      state.fields.set(field, tracked);
+      
+      if (missing.length > 0) {
+        this.recordFinding('form-error-association', field, {
+          attribute: missing[0],
+          message: `Field with an error is missing ${missing.join(', ')}`
+        });
+      }
+    });
+    
+    // Corrected fields lose the error state the manager gave them
+    state.fields.forEach((tracked, field) => {
+      if (invalidFields.has(field)) {
+        return;
+      }
+      if (tracked.invalid && field.getAttribute('aria-invalid') === 'true') {
+        this.changeAttribute(field, 'aria-invalid', null, 'form-errors');
+      }
+      const remaining = tokens(field).filter(id => !tracked.describedBy.includes(id));
+      if (remaining.length !== tokens(field).length) {
+        this.changeAttribute(field, 'aria-describedby', remaining.join(' ') || null, 'form-errors');
+      }
+      state.fields.delete(field);
+    });
+    
+    this.syncErrorSummary(form, state, errors);
+    return errors;
+  }
+  
+  /**
+   * Create, upgrade, update or remove the error summary of a form
+   * @param {Element} form - The form
+   * @param {Object} state - The form's error state
+   * @param {Array} errors - The form's current errors
+   */
+  syncErrorSummary(form, state, errors) {
+    const undoSummary = () => {
+      state.summaryChanges.slice().reverse().forEach(change => this.revert(change.id));
+      state.summaryChanges = [];
+      state.summary = null;
+      state.list = null;
+      state.heading = null;
+      state.signature = '';
+    };
+    
+    if (errors.length === 0) {
+      undoSummary();
+      return;
+    }
+    
+    // A summary the page replaced or removed takes the manager's changes with it
+    if (state.summary && !state.summary.isConnected) {
+      undoSummary();
+    }
+    
+    if (!state.summary) {
+      const keep = change => {
+        if (change) {
+          state.summaryChanges.push(change);
+        }
+      };
+      const previous = form.previousElementSibling;
+      const existing = form.querySelector(this.formErrorSummarySelector) ||
+        (previous && previous.matches(this.formErrorSummarySelector) ? previous : null);
+      
+      if (existing) {
+        // Upgrade the page's summary: make it focusable and link its errors unless it already does
+        state.summary = existing;
+        if (!existing.hasAttribute('tabindex')) {
+          keep(this.changeAttribute(existing, 'tabindex', '-1', 'form-errors'));
+        }
+        if (!existing.querySelector('a[href^="#"]')) {
+          existing.querySelectorAll('ul, ol').forEach(list => {
+            keep(this.changeAttribute(list, 'hidden', '', 'form-errors'));
+          });
+          state.list = document.createElement('ul');
+          state.list.className = 'error-summary-list';
+          keep(this.insertElement(existing, state.list, null, 'form-errors'));
+        }
+      } else {
+        const summary = document.createElement('div');
+        summary.className = 'error-summary';
+        summary.setAttribute('role', 'group');
+        summary.setAttribute('tabindex', '-1');
+        this.intentionalTabindex.add(summary);
+        state.heading = document.createElement('h2');
+        state.heading.id = 'error-summary-' + this.generateUniqueId();
+        state.heading.className = 'error-summary-title';
+        summary.setAttribute('aria-labelledby', state.heading.id);
+        state.list = document.createElement('ul');
+        state.list.className = 'error-summary-list';
+        summary.appendChild(state.heading);
+        summary.appendChild(state.list);
+        state.summary = summary;
+        keep(this.insertElement(form, summary, form.firstChild, 'form-errors'));
+      }
+    }
+    
+    // Summary links move focus to the field, which following the fragment doesn't do everywhere
+    if (state.clickTarget !== state.summary) {
+      state.clickTarget = state.summary;
+      this.addListener(state.summary, 'click', (event) => {
+        const link = event.target.closest && event.target.closest('a[href^="#"]');
+        if (!link) {
+          return;
+        }
+        let id = link.getAttribute('href').slice(1);
+        try {
+          id = decodeURIComponent(id);
+        } catch (error) {
+          // Use the id as written
+        }
+        const field = document.getElementById(id);
+        if (field && typeof field.focus === 'function') {
+          event.preventDefault();
+          field.focus();
+        }
+      });
+    }
+    
+    // Render the links the manager owns, unless the errors are unchanged
+    const entries = errors.map(error => ({
+      id: error.fieldId,
+      text: error.messages.length > 0
+        ? error.messages.map(message => message.textContent.trim()).join(' ')
+        : this.t('formErrors.fieldInvalid', { field: this.getFieldLabel(error.field) })
+    }));
+    const signature = JSON.stringify(entries);
+    if (signature === state.signature) {
+      return;
+    }
+    state.signature = signature;
+    
+    if (state.heading) {
+      state.heading.textContent = this.t('formErrors.summaryTitle', { count: errors.length });
+    }
+    if (state.list) {
+      state.list.textContent = '';
+      entries.forEach(entry => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = `#${entry.id}`;
+        link.textContent = entry.text;
+        item.appendChild(link);
+        state.list.appendChild(item);
+      });
+    }
+  }
+  
+  /**
+   * Get a short label for a form field
+   * @param {Element} field - The field
+   * @returns {string} - Its accessible name, or its name or id attribute
+   */
+  getFieldLabel(field) {
+    return this.getAccessibleName(field) || field.getAttribute('name') || field.id;
+  }
+
+  /**
+   * Validate the page's skip links and add missing ones (WCAG 2.4.1 Bypass Blocks)
+   *
+   * Existing skip links are checked: a missing or hidden target is reported, and a
+   * page that has skip links doesn't get another one. With addSkipLink, a page
+   * without skip links gets a "Skip to main content" link that shows on focus. With
+   * skipMenu, it gets a menu that also lists landmarks and top-level headings.
+   * Activating a skip link moves focus to its target.
+   */
+  setupSkipLinks() {
+    const links = this.syncSkipLinks();
+    
+    // Some browsers scroll to the target of an in-page link without moving focus
+    if (!this.skipLinkClickHandler && links.some(link => this.skipLinks.has(link) && link.isConnected)) {
+      this.skipLinkClickHandler = (event) => {
+        const link = event.target.closest && event.target.closest(this.skipLinkSelector);
+        const target = link && this.skipLinks.has(link) ? this.getSkipLinkTarget(link) : null;
+        if (target) {
+          target.focus();
+        }
+      };
+      this.addListener(document, 'click', this.skipLinkClickHandler);
+    }
+  }
+  
+  /**
+   * Validate the existing skip links and add the configured ones if the page has none
+   * @returns {Array} - The skip links on the page
+   */
+  syncSkipLinks() {
+    const main = this.getMainContent();
+    const existing = this.getExistingSkipLinks();
+    
+    existing.forEach(link => {
+      const target = this.getSkipLinkTarget(link);
+      if (!target || target.hidden || this.isVisuallyHidden(target) || this.hasHiddenParent(target)) {
+        if (!this.reportOnly && this.skipLinkReports.has(link)) {
+          return;
+        }
+        if (!this.reportOnly) {
+          this.skipLinkReports.add(link);
+        }
+        this.recordFinding('skip-link-target', link, {
+          attribute: 'href',
+          message: `Skip link target ${link.getAttribute('href')} ${target ? 'is hidden' : 'does not exist'}`
+        });
+        return;
+      }
+      this.skipLinks.add(link);
+      this.makeSkipLinkTarget(target, 'skip-links');
+    });
+    
+    // A page with skip links of its own, even broken ones, doesn't get a second set
+    if (existing.length > 0) {
+      return existing;
+    }
+    
+    // Skip links generated earlier, or only proposed in dry-run and warn mode, aren't added again
+    const proposed = this.changeJournal.find(entry => entry.type === 'node' && !entry.applied &&
+      entry.element.id === 'tabindex-manager-skip-links');
+    const generated = document.getElementById('tabindex-manager-skip-links') || (proposed && proposed.element);
+    if (generated) {
+      return Array.from(generated.matches('a') ? [generated] : generated.querySelectorAll('a'));
+    }
+    
+    if (!main || (!this.addSkipLink && !this.skipMenu)) {
+      const element = main || document.body;
+      if (!this.reportOnly && this.skipLinkReports.has(element)) {
+        return [];
+      }
+      if (!this.reportOnly) {
+        this.skipLinkReports.add(element);
+      }
+      
+      this.recordFinding('skip-link-missing', element, {
+        message: main ? 'Page has no skip link to its main content' : 'Page has no skip link and no main content region'
+      });
+      return [];
+    }
+    
+    const entries = [{ target: main, text: this.t('skipLinks.main') }];
+    if (this.skipMenu) {
+      this.getSkipMenuTargets(main).forEach(target => entries.push({ target, text: this.getSkipMenuText(target) }));
+    }
+    
+    // Targets in regions where skip links are off get no link
+    const links = entries.map(({ target, text }) => {
+      const id = this.ensureId(target, 'skip-target-', 'skip-links');
+      if (!id) {
+        return null;
+      }
+      
+      const link = document.createElement('a');
+      link.href = `#${id}`;
+      link.textContent = text;
+      this.makeSkipLinkTarget(target, 'skip-links');
+      this.skipLinks.add(link);
+      return link;
+    }).filter(Boolean);
+    if (links.length === 0) {
+      return [];
+    }
+    
+    let element;
+    if (this.skipMenu) {
+      element = document.createElement('nav');
+      element.className = 'tabindex-manager-skip-menu';
+      element.setAttribute('aria-label', this.t('skipLinks.menuLabel'));
+      const list = document.createElement('ul');
+      links.forEach(link => {
+        const item = document.createElement('li');
+        item.appendChild(link);
+        list.appendChild(item);
+      });
+      element.appendChild(list);
+    } else {
+      element = links[0];
+      element.className = 'skip-link tabindex-manager-skip-link';
+    }
+    element.id = 'tabindex-manager-skip-links';
+    
+    this.insertStyleSheet('tabindex-manager-skip-link-styles', [
+      '.tabindex-manager-skip-link, .tabindex-manager-skip-menu { position: absolute; top: 0; left: 0; ' +
+        'z-index: 2147483647; padding: 0.75em 1em; background: #fff; color: #000; border: 2px solid #000; }',
+      '.tabindex-manager-skip-link:not(:focus), .tabindex-manager-skip-menu:not(:focus-within) { width: 1px; ' +
+        'height: 1px; padding: 0; border: 0; overflow: hidden; clip: rect(0 0 0 0); clip-path: inset(50%); white-space: nowrap; }',
+      '.tabindex-manager-skip-menu ul { margin: 0; padding: 0; list-style: none; }'
+    ].join('\n'), 'skip-links');
+    const change = this.insertElement(document.body, element, document.body.firstChild, 'skip-links');
+    
+    this.recordFinding('skip-link-missing', main, {
+      message: 'Page has no skip link to its main content',
+      after: links.map(link => link.getAttribute('href')).join(' '),
+      changeId: change && change.id
+    });
+    return links;
+  }
+  
+  /**
+   * Find the main content region
+   * @returns {Element|null} - The first visible match of mainContentSelectors
+   */
+  getMainContent() {
+    for (const selector of this.mainContentSelectors) {
+      const match = Array.from(document.querySelectorAll(selector)).find(element =>
+        !element.hidden && !this.isVisuallyHidden(element) && !this.hasHiddenParent(element));
+      if (match) {
+        return match;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Find the skip links the page already has
+   * @returns {Array} - In-page links whose class or text marks them as skip links
+   */
+  getExistingSkipLinks() {
+    const generated = document.getElementById('tabindex-manager-skip-links');
+    return this.queryAll(document, this.skipLinkSelector).filter(link =>
+      link.getAttribute('href').length > 1 &&
+      !(generated && generated.contains(link)) &&
+      (/skip/i.test(link.className) || /\bskip\b|jump to|main content/i.test(link.textContent)));
+  }
+  
+  /**
+   * Find the element an in-page link points to
+   * @param {Element} link - The link
+   * @returns {Element|null} - The element with the link's fragment as its id or name
+   */
+  getSkipLinkTarget(link) {
+    let fragment = link.getAttribute('href').slice(1);
+    try {
+      fragment = decodeURIComponent(fragment);
+    } catch (error) {
+      // Use the fragment as written
+    }
+    return document.getElementById(fragment) || document.getElementsByName(fragment)[0] || null;
+  }
+  
+  /**
+   * Make the target of a skip link focusable by script, so following the link moves focus to it
+   * @param {Element} target - The target
+   * @param {string} source - The rule or component making the change
+   */
+  makeSkipLinkTarget(target, source) {
+    this.intentionalTabindex.add(target);
+    if (!this.isNativelyFocusable(target) && !target.hasAttribute('tabindex')) {
+      this.changeAttribute(target, 'tabindex', '-1', source);
+    }
+  }
+  
+  /**
+   * Find the landmarks and top-level headings a skip menu lists
+   * @param {Element} main - The main content region, which the menu lists first
+   * @returns {Array} - The targets in document order
+   */
+  getSkipMenuTargets(main) {
+    const sectioning = 'article, aside, main, nav, section, [role="main"]';
+    return this.queryAll(document, `${this.skipMenuLandmarkSelector}, ${this.skipMenuHeadingSelector}`)
+      .filter(element => {
+        if (element === main || element.hidden || this.isVisuallyHidden(element) || this.hasHiddenParent(element)) {
+          return false;
+        }
+        // Headers and footers inside sectioning content are not landmarks
+        if (element.matches('header, footer') && !element.hasAttribute('role') &&
+            element.parentElement && element.parentElement.closest(sectioning)) {
+          return false;
+        }
+        if (!element.matches(this.skipMenuHeadingSelector)) {
+          return true;
+        }
+        // A heading that names a landmark is already listed through the landmark
+        const labelled = element.id && document.querySelector(`[aria-labelledby~="${element.id}"]`);
+        return element.textContent.trim() !== '' &&
+          !(labelled && labelled.matches(this.skipMenuLandmarkSelector));
+      });
+  }
+  
+  /**
+   * Get the text of a skip menu link
+   * @param {Element} target - A landmark or heading
+   * @returns {string} - The heading text, or the landmark's type and name
+   */
+  getSkipMenuText(target) {
+    if (target.matches(this.skipMenuHeadingSelector)) {
+      return target.textContent.trim().replace(/\s+/g, ' ');
+    }
+    
+    const implicitRoles = { nav: 'navigation', aside: 'complementary', header: 'banner', footer: 'contentinfo' };
+    const role = target.getAttribute('role') || implicitRoles[target.tagName.toLowerCase()];
+    const landmark = this.t('skipLinks.landmark', { role });
+    const name = this.getAccessibleName(target);
+    return name ? this.t('skipLinks.namedLandmark', { landmark, name }) : landmark;
+  }
+  
+  /**
+   * Add a style sheet to the document once
+   * @param {string} id - The id of the style element
+   * @param {string} css - The style rules
+   * @param {string} source - The rule or component adding the styles
+   * @returns {Element} - The style element
+   */
+  insertStyleSheet(id, css, source) {
+    const existing = document.getElementById(id);
+    if (existing) {
+      return existing;
+    }
+    const style = document.createElement('style');
+    style.id = id;
+    style.textContent = css;
+    this.insertElement(document.head || document.documentElement, style, null, source);
+    return style;
+  }
+
+  /**
+   * Check that the tabbable elements in a container keep a visible focus indicator
+   *
+   * The page's style sheets are analyzed rather than focusing each element. An
+   * element fails 2.4.7 when author styles remove its outline in the focused state
+   * and its :focus or :focus-visible rules don't replace it with a box-shadow, border,
+   * background, color or underline. Outlines, shadows, borders and backgrounds are
+   * also measured against 2.4.13: their area must reach a 2px perimeter of the
+   * element and their colors must contrast 3:1 with the unfocused pixels. Elements
+   * without author focus styles keep the browser's ring and aren't reported. Rules
+   * in cross-origin style sheets can't be read and are ignored.
+   * @param {Element} container - The container to check
+   * @returns {Array} - The elements that failed, with their focus styles
+   */
+  checkFocusIndicatorStyles(container) {
+    const rulesByRoot = new Map();
+    const failures = [];
+    
+    this.findCheckedElements(container).forEach(element => {
+      const root = element.getRootNode();
+      if (!rulesByRoot.has(root)) {
+        rulesByRoot.set(root, this.getFocusStyleRules(root));
+      }
+      
+      const styles = this.getFocusStyles(element, rulesByRoot.get(root));
+      if (!styles) {
+        return;
+      }
+      
+      let ruleId = null;
+      let message = null;
+      if (styles.indicators.length === 0) {
+        ruleId = 'focus-indicator-missing';
+        message = 'Focus styles remove the outline without another visible indicator';
+      } else {
+        const measured = styles.indicators.filter(indicator => indicator.contrast !== null);
+        const sufficient = measured.some(indicator => indicator.contrast >= 3 &&
+          (indicator.area === null || indicator.area >= styles.requiredArea));
+        if (measured.length > 0 && !sufficient) {
+          const best = measured.reduce((a, b) => (b.contrast > a.contrast ? b : a));
+          ruleId = 'focus-indicator-appearance';
+          message = `Focus indicator (${best.type}) has a contrast of ${best.contrast.toFixed(2)}:1` +
+            (best.area !== null ? ` and an area of ${Math.round(best.area)}px² (needs ${Math.round(styles.requiredArea)}px²)` : '');
+        }
+      }
+      
+      if (!ruleId) {
+        return;
+      }
+      
+      const change = this.injectFocusRing ? this.addFocusRing(element) : null;
+      this.recordFinding(ruleId, element, {
+        message,
+        changeId: change && change.id,
+        styles: {
+          focused: styles.focused,
+          unfocused: styles.unfocused,
+          indicators: styles.indicators,
+          requiredArea: styles.requiredArea
+        }
+      });
+      failures.push({ element, ruleId, styles });
+    });
+    
+    return failures;
+  }
+  
+  /**
+   * Collect the style rules that can affect focus indicators
+   * @param {Document|ShadowRoot} root - The document or shadow root whose style sheets to read
+   * @returns {Array} - { selector, focus, specificity, order, declarations } for each selector of each rule
+   */
+  getFocusStyleRules(root) {
+    const rules = [];
+    let order = 0;
+    
+    const visit = ruleList => {
+      Array.from(ruleList).forEach(rule => {
+        if (rule.media && rule.cssRules) {
+          const view = (root.ownerDocument || root).defaultView || window;
+          if (!view.matchMedia || view.matchMedia(rule.media.mediaText).matches) {
+            visit(rule.cssRules);
+          }
+          return;
+        }
+        if (rule.cssRules && !rule.selectorText) {
+          visit(rule.cssRules);
+          return;
+        }
+        if (!rule.selectorText || !rule.style) {
+          return;
+        }
+        
+        const declarations = this.readFocusDeclarations(rule.style);
+        if (Object.keys(declarations).length === 0) {
+          return;
+        }
+        
+        order++;
+        this.splitSelectorList(rule.selectorText).forEach(selector => {
+          // :focus:not(:focus-visible) only applies to pointer focus
+          if (/:not\(\s*:focus-visible\s*\)/.test(selector)) {
+            return;
+          }
+          const focus = /:focus(-visible)?(?![\w-])/.test(selector);
+          
+          // Outside the focused state only outline declarations matter; the rest is in the computed style
+          if (!focus && !Object.keys(declarations).some(property => property.startsWith('outline'))) {
+            return;
+          }
+          
+          rules.push({
+            selector: focus ? (selector.replace(/:focus(-visible)?(?![\w-])/g, '').trim() || '*') : selector,
+            focus,
+            specificity: this.getSelectorSpecificity(selector),
+            order,
+            declarations
+          });
+        });
+      });
+    };
+    
+    Array.from(root.styleSheets || []).forEach(sheet => {
+      let ruleList;
+      try {
+        ruleList = sheet.cssRules;
+      } catch (error) {
+        return;
+      }
+      if (ruleList && !sheet.disabled) {
+        visit(ruleList);
+      }
+    });
+    
+    return rules;
+  }
+  
+  /**
+   * Read the declarations that affect focus indicators from a style declaration block
+   * @param {CSSStyleDeclaration} style - The declarations
+   * @returns {Object} - { value, important } by longhand property name
+   */
+  readFocusDeclarations(style) {
+    const declarations = {};
+    const set = (property, value, important) => {
+      declarations[property] = { value, important };
+    };
+    const lengthPattern = /^(-?[\d.]+[a-z%]*|thin|medium|thick)$/i;
+    const stylePattern = /^(none|hidden|dotted|dashed|solid|double|groove|ridge|inset|outset|auto)$/i;
+    const splitValue = value => value.match(/(?:[^\s(]+(?:\([^)]*\))?)+/g) || [];
+    
+    Array.from(style).forEach(property => {
+      const value = style.getPropertyValue(property).trim();
+      const important = style.getPropertyPriority(property) === 'important';
+      
+      switch (property) {
+        case 'outline':
+        case 'border':
+        case 'border-top': {
+          const prefix = property === 'outline' ? 'outline' : 'border';
+          const parts = { style: 'none', width: prefix === 'outline' ? 'medium' : '0', color: 'currentcolor' };
+          splitValue(value).forEach(token => {
+            if (stylePattern.test(token)) {
+              parts.style = token.toLowerCase();
+            } else if (lengthPattern.test(token)) {
+              parts.width = token;
+            } else {
+              parts.color = token;
+            }
+          });
+          set(`${prefix}-style`, parts.style, important);
+          set(`${prefix}-width`, parts.width, important);
+          set(`${prefix}-color`, parts.color, important);
+          break;
+        }
+        case 'outline-style':
+        case 'outline-width':
+        case 'outline-color':
+        case 'outline-offset':
+        case 'box-shadow':
+        case 'background-color':
+        case 'color':
+          set(property, value, important);
+          break;
+        case 'border-style':
+        case 'border-width':
+        case 'border-color':
+          set(property, splitValue(value)[0] || value, important);
+          break;
+        case 'border-top-style':
+        case 'border-top-width':
+        case 'border-top-color':
+          set(property.replace('-top', ''), value, important);
+          break;
+        case 'background': {
+          const color = splitValue(value).find(token => this.parseColor(token));
+          if (color) {
+            set('background-color', color, important);
+          }
+          break;
+        }
+        case 'text-decoration':
+        case 'text-decoration-line':
+          set('text-decoration-line', /underline/.test(value) ? 'underline' : value, important);
+          break;
+      }
+    });
+    
+    return declarations;
+  }
+  
+  /**
+   * Split a selector list at its top-level commas
+   * @param {string} selectorText - The selector list
+   * @returns {Array} - The selectors
+   */
+  splitSelectorList(selectorText) {
+    const selectors = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < selectorText.length; i++) {
+      const character = selectorText[i];
+      if (character === '(' || character === '[') {
+        depth++;
+      } else if (character === ')' || character === ']') {
+        depth--;
+      } else if (character === ',' && depth === 0) {
+        selectors.push(selectorText.slice(start, i).trim());
+        start = i + 1;
+      }
+    }
+    selectors.push(selectorText.slice(start).trim());
+    return selectors.filter(Boolean);
+  }
+  
+  /**
+   * Approximate the specificity of a selector
+   * @param {string} selector - The selector
+   * @returns {number} - The specificity, with ids, classes and types weighted by 10000, 100 and 1
+   */
+  getSelectorSpecificity(selector) {
+    const withoutNegations = selector.replace(/:(not|is|where)\(/g, '(');
+    const ids = (withoutNegations.match(/#[\w-]+/g) || []).length;
+    const classes = (withoutNegations.match(/\.[\w-]+|\[[^\]]*\]|:(?!:)[\w-]+/g) || []).length;
+    const types = (withoutNegations.match(/(^|[\s>+~(])[a-z][\w-]*/gi) || []).length +
+      (withoutNegations.match(/::[\w-]+/g) || []).length;
+    return ids * 10000 + classes * 100 + types;
+  }
+  
+  /**
+   * Work out an element's focused styles and the focus indicators they provide
+   * @param {Element} element - A tabbable element
+   * @param {Array} rules - The rules from getFocusStyleRules()
+   * @returns {Object|null} - The focused and unfocused styles and the indicators, or null if only the browser styles focus
+   */
+  getFocusStyles(element, rules) {
+    const matching = rules.filter(rule => {
+      try {
+        return element.matches(rule.selector);
+      } catch (error) {
+        return false;
+      }
+    });
+    
+    // Inline styles win over every rule
+    const inline = this.readFocusDeclarations(element.style);
+    if (Object.keys(inline).some(property => property.startsWith('outline'))) {
+      matching.push({ focus: false, specificity: Infinity, order: Infinity, declarations: inline });
+    }
+    
+    const setsOutline = matching.some(rule =>
+      Object.keys(rule.declarations).some(property => property.startsWith('outline')));
+    const hasFocusRule = matching.some(rule => rule.focus);
+    if (!setsOutline && !hasFocusRule) {
+      return null;
+    }
+    
+    // Cascade the declarations: importance, then specificity, then source order
+    const cascaded = {};
+    const focusOnly = {};
+    matching
+      .slice()
+      .sort((a, b) => (a.specificity - b.specificity) || (a.order - b.order))
+      .forEach(rule => {
+        Object.keys(rule.declarations).forEach(property => {
+          const declaration = rule.declarations[property];
+          const current = cascaded[property];
+          if (!current || declaration.important || !current.important) {
+            cascaded[property] = declaration;
+            if (rule.focus) {
+              focusOnly[property] = declaration;
+            } else {
+              delete focusOnly[property];
+            }
+          }
+        });
+      });
+    
+    const view = element.ownerDocument.defaultView || window;
+    const computed = view.getComputedStyle(element);
+    const unfocused = {
+      outlineStyle: computed.outlineStyle,
+      outlineWidth: computed.outlineWidth,
+      outlineColor: computed.outlineColor,
+      boxShadow: computed.boxShadow,
+      borderStyle: computed.borderTopStyle,
+      borderWidth: computed.borderTopWidth,
+      borderColor: computed.borderTopColor,
+      backgroundColor: computed.backgroundColor,
+      color: computed.color,
+      textDecorationLine: computed.textDecorationLine
+    };
+    const value = (property, fallback) => (cascaded[property] ? cascaded[property].value : fallback);
+    const focused = {
+      outlineStyle: value('outline-style', setsOutline ? 'none' : 'auto'),
+      outlineWidth: value('outline-width', 'medium'),
+      outlineColor: value('outline-color', 'currentcolor'),
+      outlineOffset: value('outline-offset', '0'),
+      boxShadow: value('box-shadow', unfocused.boxShadow),
+      borderStyle: value('border-style', unfocused.borderStyle),
+      borderWidth: value('border-width', unfocused.borderWidth),
+      borderColor: value('border-color', unfocused.borderColor),
+      backgroundColor: value('background-color', unfocused.backgroundColor),
+      color: value('color', unfocused.color),
+      textDecorationLine: value('text-decoration-line', unfocused.textDecorationLine)
+    };
+    
+    const rect = element.getBoundingClientRect();
+    const width = rect.width;
+    const height = rect.height;
+    const measurable = width > 0 && height > 0;
+    const toPixels = length => {
+      const keywords = { thin: 1, medium: 3, thick: 5 };
+      return keywords[length] !== undefined ? keywords[length] : (parseFloat(length) || 0);
+    };
+    const ring = (thickness, offset) => (measurable
+      ? (width + 2 * (offset + thickness)) * (height + 2 * (offset + thickness)) -
+        Math.max(0, width + 2 * offset) * Math.max(0, height + 2 * offset)
+      : null);
+    
+    const currentColor = this.parseColor(focused.color) || this.parseColor(unfocused.color);
+    const behind = this.getEffectiveBackground(element.parentElement);
+    const ownBackground = this.getEffectiveBackground(element);
+    const contrastWith = (color, background) => {
+      const parsed = this.parseColor(color, currentColor);
+      return parsed && background ? this.getContrastRatio(this.blendColors(parsed, background), background) : null;
+    };
+    
+    const indicators = [];
+    const outlineWidth = toPixels(focused.outlineWidth);
+    const outlineStyle = String(focused.outlineStyle).toLowerCase();
+    
+    if (outlineStyle === 'auto') {
+      // The browser's own ring
+      indicators.push({ type: 'outline', area: null, contrast: null });
+    } else if (outlineStyle !== 'none' && outlineStyle !== 'hidden' && outlineWidth > 0) {
+      const offset = toPixels(focused.outlineOffset);
+      indicators.push({
+        type: 'outline',
+        area: ring(outlineWidth, offset),
+        contrast: contrastWith(focused.outlineColor, offset < 0 ? ownBackground : behind)
+      });
+    }
+    
+    if (focusOnly['box-shadow'] && focused.boxShadow !== 'none' && focused.boxShadow !== unfocused.boxShadow) {
+      const tokens = this.splitSelectorList(focused.boxShadow)[0].match(/(?:[^\s(]+(?:\([^)]*\))?)+/g) || [];
+      const isLength = token => /^-?[\d.]+([a-z]+)?$/i.test(token);
+      const lengths = tokens.filter(isLength).map(parseFloat);
+      const color = tokens.find(token => !isLength(token) && token !== 'inset') || 'currentcolor';
+      const inset = tokens.includes('inset');
+      const thickness = Math.max(0, lengths[3] || 0) + (lengths[2] || 0) / 2 +
+        Math.max(Math.abs(lengths[0] || 0), Math.abs(lengths[1] || 0));
+      indicators.push({
+        type: 'box-shadow',
+        area: thickness > 0 ? (inset ? (measurable ? width * height -
+          Math.max(0, width - 2 * thickness) * Math.max(0, height - 2 * thickness) : null) : ring(thickness, 0)) : 0,
+        contrast: contrastWith(color, inset ? ownBackground : behind)
+      });
+    }
+    
+    const borderChanged = ['border-color', 'border-width', 'border-style'].some(property => focusOnly[property]) &&
+      (focused.borderColor !== unfocused.borderColor || focused.borderWidth !== unfocused.borderWidth ||
+       focused.borderStyle !== unfocused.borderStyle);
+    if (borderChanged && focused.borderStyle !== 'none' && toPixels(focused.borderWidth) > 0) {
+      const borderWidth = toPixels(focused.borderWidth);
+      const previous = toPixels(unfocused.borderWidth) > 0 && unfocused.borderStyle !== 'none'
+        ? this.parseColor(unfocused.borderColor, currentColor) : null;
+      indicators.push({
+        type: 'border',
+        area: measurable ? width * height -
+          Math.max(0, width - 2 * borderWidth) * Math.max(0, height - 2 * borderWidth) : null,
+        contrast: contrastWith(focused.borderColor, previous && behind ? this.blendColors(previous, behind) : ownBackground)
+      });
+    }
+    
+    if (focusOnly['background-color'] && focused.backgroundColor !== unfocused.backgroundColor) {
+      const background = this.parseColor(focused.backgroundColor);
+      indicators.push({
+        type: 'background',
+        area: measurable ? width * height : null,
+        contrast: background && background.a > 0 ? contrastWith(focused.backgroundColor, ownBackground) : null
+      });
+    }
+    
+    // Color and underline changes are visible but can't be measured
+    if ((focusOnly.color && focused.color !== unfocused.color) ||
+        (focusOnly['text-decoration-line'] && focused.textDecorationLine !== unfocused.textDecorationLine)) {
+      indicators.push({ type: focusOnly.color ? 'color' : 'underline', area: null, contrast: null });
+    }
+    
+    return {
+      focused,
+      unfocused,
+      indicators,
+      requiredArea: measurable ? 4 * (width + height) : null
+    };
+  }
+  
+  /**
+   * Parse a CSS color
+   * @param {string} value - The color
+   * @param {Object} currentColor - The color that currentcolor stands for
+   * @returns {Object|null} - { r, g, b, a }, or null if the value isn't a color
+   */
+  parseColor(value, currentColor = null) {
+    const color = String(value || '').trim().toLowerCase();
+    if (!color) {
+      return null;
+    }
+    if (color === 'currentcolor' || color === 'invert') {
+      return currentColor;
+    }
+    if (color === 'transparent') {
+      return { r: 0, g: 0, b: 0, a: 0 };
+    }
+    
+    const hex = color.match(/^#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/);
+    if (hex) {
+      const digits = hex[1].length <= 4 ? hex[1].split('').map(digit => digit + digit).join('') : hex[1];
+      return {
+        r: parseInt(digits.slice(0, 2), 16),
+        g: parseInt(digits.slice(2, 4), 16),
+        b: parseInt(digits.slice(4, 6), 16),
+        a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+      };
+    }
+    
+    const functional = color.match(/^rgba?\(([^)]+)\)$/);
+    if (functional) {
+      const parts = functional[1].split(/[\s,/]+/).filter(Boolean);
+      const channel = part => (part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part));
+      const alpha = parts[3] === undefined ? 1 : (parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]));
+      return { r: channel(parts[0]), g: channel(parts[1]), b: channel(parts[2]), a: alpha };
+    }
+    
+    // Let the browser resolve named and other colors
+    if (!/^[a-z]+(\(.*\))?$/.test(color)) {
+      return null;
+    }
+    if (this.colorContext === undefined) {
+      try {
+        this.colorContext = document.createElement('canvas').getContext('2d');
+      } catch (error) {
+        this.colorContext = null;
+      }
+    }
+    if (!this.colorContext) {
+      return null;
+    }
+    this.colorContext.fillStyle = '#010203';
+    this.colorContext.fillStyle = color;
+    const resolved = this.colorContext.fillStyle;
+    return resolved === '#010203' && color !== '#010203' ? null : this.parseColor(resolved);
+  }
+  
+  /**
+   * Get the opaque color behind an element, from its nearest ancestor with a background
+   * @param {Element|null} element - The element
+   * @returns {Object} - { r, g, b, a }, white if no ancestor has a background
+   */
+  getEffectiveBackground(element) {
+    const layers = [];
+    for (let current = element; current && current.nodeType === Node.ELEMENT_NODE; current = current.parentElement) {
+      const view = current.ownerDocument.defaultView || window;
+      const color = this.parseColor(view.getComputedStyle(current).backgroundColor);
+      if (color && color.a > 0) {
+        layers.push(color);
+        if (color.a >= 1) {
+          break;
+        }
+      }
+    }
+    return layers.reduceRight((background, layer) => this.blendColors(layer, background), { r: 255, g: 255, b: 255, a: 1 });
+  }
+  
+  /**
+   * Composite a color over an opaque background
+   * @param {Object} color - The color, which may be translucent
+   * @param {Object} background - The opaque background
+   * @returns {Object} - The opaque result
+   */
+  blendColors(color, background) {
+    const a = color.a === undefined ? 1 : color.a;
+    return {
+      r: color.r * a + background.r * (1 - a),
+      g: color.g * a + background.g * (1 - a),
+      b: color.b * a + background.b * (1 - a),
+      a: 1
+    };
+  }
+  
+  /**
+   * Calculate the WCAG contrast ratio of two opaque colors
+   * @param {Object} first - { r, g, b }
+   * @param {Object} second - { r, g, b }
+   * @returns {number} - The ratio, from 1 to 21
+   */
+  getContrastRatio(first, second) {
+    const luminance = ({ r, g, b }) => {
+      const [red, green, blue] = [r, g, b].map(channel => {
+        const value = channel / 255;
+        return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+      });
+      return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+    };
+    const [lighter, darker] = [luminance(first), luminance(second)].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+  }
+  
+  /**
+   * Give an element the fallback focus ring
+   * @param {Element} element - The element
+   * @returns {Object|null} - The journal entry for the class change
+   */
+  addFocusRing(element) {
+    const { color, width, offset } = this.focusRingStyles;
+    const ring = `outline: ${width} solid ${color} !important; outline-offset: ${offset} !important;`;
+    this.insertStyleSheet('tabindex-manager-focus-ring-styles', [
+      `.tabindex-manager-focus-ring:focus-visible { ${ring} }`,
+      `@supports not selector(:focus-visible) { .tabindex-manager-focus-ring:focus { ${ring} } }`
+    ].join('\n'), 'focus-indicator');
+    return this.changeClass(element, 'tabindex-manager-focus-ring', true, 'focus-indicator')[0] || null;
+  }
+
+  /**
+   * Check every focused element against fixed and sticky overlays (WCAG 2.4.11 Focus Not Obscured)
+   *
+   * An element entirely hidden by overlays is reported as focus-obscured; a partly
+   * hidden one is reported as a warning. Each element is reported once. With
+   * obscuredFocusHandling 'scroll', the page scrolls the element clear of the
+   * overlays. With 'scrollPadding', the document also gets scroll-padding from the
+   * heights of the overlays along the top and bottom of the viewport, so the
+   * browser keeps focused elements clear when it scrolls them into view.
+   */
+  setupObscuredFocusHandling() {
+    if (this.obscuredFocusHandler) {
+      return;
+    }
+    
+    if (this.obscuredFocusHandling === 'scrollPadding') {
+      this.updateScrollPadding();
+    }
+    
+    // Overlays are searched for again after the layout changes
+    this.addListener(window, 'resize', () => {
+      this.overlayCandidates = null;
+      if (this.obscuredFocusHandling === 'scrollPadding' && !this.reportOnly &&
+          this.getRuleMode('focus-obscured') === 'fix') {
+        this.updateScrollPadding();
+      }
+    });
+    
+    this.obscuredFocusHandler = (event) => {
+      const target = event.composedPath ? event.composedPath()[0] : event.target;
+      
+      // Check after the browser has scrolled the element into view
+      this.setTimer(() => {
+        if (this.getDeepActiveElement() !== target) {
+          return;
+        }
+        
+        const mode = this.getRuleMode('focus-obscured');
+        const result = mode === 'off' ? {} : this.checkObscuredFocus(target);
+        if (!result.obscured) {
+          return;
+        }
+        
+        if (!this.obscuredFocusReports.has(target)) {
+          this.obscuredFocusReports.add(target);
+          this.recordFinding('focus-obscured', target, {
+            severity: result.obscured === 'full' ? 'error' : 'warning',
+            message: `Focused element is ${result.obscured === 'full' ? 'hidden' : 'partly hidden'} by ` +
+              result.overlays.map(overlay => this.getElementSelector(overlay.element)).join(', ')
+          });
+        }
+        
+        // In warn mode the overlays are only reported
+        if (mode === 'warn' || this.reportOnly) {
+          return;
+        }
+        if (this.obscuredFocusHandling === 'scrollPadding') {
+          this.updateScrollPadding();
+        }
+        if (this.obscuredFocusHandling === 'scroll' || this.obscuredFocusHandling === 'scrollPadding') {
+          this.scrollClearOfOverlays(target, result.overlays);
+        }
+      }, 0);
+    };
+    this.addListener(document, 'focusin', this.obscuredFocusHandler, true);
+  }
+  
+  /**
+   * Find the visible fixed and sticky elements on the page
+   *
+   * Searching the page computes the style of every element, so the fixed and sticky
+   * elements are only searched for again after the mutation observer sees a change
+   * or the window is resized. Without the mutation observer the search is reused
+   * for a second. Only the candidates are checked for visibility each time.
+   * @returns {Array} - The overlays
+   */
+  getOverlayElements() {
+    const now = Date.now();
+    if (!this.overlayCandidates || (!this.mutationObserver && now - this.overlayCandidates.time > 1000)) {
+      const elements = Array.from(document.body ? document.body.querySelectorAll('*') : []).filter(element => {
+        const position = (element.ownerDocument.defaultView || window).getComputedStyle(element).position;
+        return (position === 'fixed' || position === 'sticky') && !this.ownInsertedElements.has(element);
+      });
+      this.overlayCandidates = { time: now, elements };
+    }
+    
+    return this.overlayCandidates.elements.filter(element =>
+      element.isConnected && !element.hidden && !this.isVisuallyHidden(element));
+  }
+  
+  /**
+   * Check whether overlays hide a focused element
+   * @param {Element} element - The focused element
+   * @returns {Object} - { obscured: 'full', 'partial' or null, overlays: [{ element, rect }] }
+   */
+  checkObscuredFocus(element) {
+    const rect = element.getBoundingClientRect();
+    const area = rect.width * rect.height;
+    if (area === 0) {
+      return { obscured: null, overlays: [] };
+    }
+    
+    let covered = 0;
+    const overlays = [];
+    this.getOverlayElements().forEach(overlay => {
+      // Content inside a sticky header or an open dialog moves with it
+      if (this.composedContains(overlay, element) || this.composedContains(element, overlay)) {
+        return;
+      }
+      
+      const overlayRect = overlay.getBoundingClientRect();
+      const width = Math.min(rect.right, overlayRect.right) - Math.max(rect.left, overlayRect.left);
+      const height = Math.min(rect.bottom, overlayRect.bottom) - Math.max(rect.top, overlayRect.top);
+      if (width > 0 && height > 0) {
+        covered += width * height;
+        overlays.push({ element: overlay, rect: overlayRect });
+      }
+    });
+    
+    // Overlapping overlays are counted twice, which only matters when they overlap each other
+    const obscured = overlays.length === 0 ? null : (covered >= area - 1 ? 'full' : 'partial');
+    return { obscured, overlays };
+  }
+  
+  /**
+   * Scroll the page so a focused element is clear of the overlays covering it
+   * @param {Element} element - The focused element
+   * @param {Array} overlays - The overlays from checkObscuredFocus()
+   */
+  scrollClearOfOverlays(element, overlays) {
+    const margin = 8;
+    const rect = element.getBoundingClientRect();
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+    
+    // Overlays in the upper half of the viewport are headers, the rest are footers and banners
+    const top = Math.max(0, ...overlays
+      .filter(overlay => overlay.rect.top + overlay.rect.height / 2 < viewportHeight / 2)
+      .map(overlay => overlay.rect.bottom));
+    const bottom = Math.min(viewportHeight, ...overlays
+      .filter(overlay => overlay.rect.top + overlay.rect.height / 2 >= viewportHeight / 2)
+      .map(overlay => overlay.rect.top));
+    
+    let delta = 0;
+    if (rect.top < top + margin) {
+      delta = rect.top - top - margin;
+    } else if (rect.bottom > bottom - margin) {
+      delta = Math.min(rect.bottom - bottom + margin, rect.top - top - margin);
+    }
+    
+    if (delta !== 0) {
+      window.scrollBy(0, delta);
+    }
+  }
+  
+  /**
+   * Set scroll-padding on the document from the overlays along the top and bottom of the viewport
+   */
+  updateScrollPadding() {
+    const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+    let top = 0;
+    let bottom = 0;
+    
+    this.getOverlayElements().forEach(overlay => {
+      const rect = overlay.getBoundingClientRect();
+      
+      // Only bars spanning most of the viewport width; dialogs and floating buttons don't count
+      if (rect.height === 0 || rect.height > viewportHeight / 2 ||
+          rect.width < (window.innerWidth || document.documentElement.clientWidth) / 2) {
+        return;
+      }
+      if (rect.top <= 1) {
+        top = Math.max(top, rect.bottom);
+      } else if (rect.bottom >= viewportHeight - 1) {
+        bottom = Math.max(bottom, viewportHeight - rect.top);
+      }
+    });
+    
+    // Only write the padding when the overlays changed size
+    const root = document.documentElement;
+    const margin = 8;
+    const values = {
+      top: top > 0 ? `${Math.ceil(top) + margin}px` : '',
+      bottom: bottom > 0 ? `${Math.ceil(bottom) + margin}px` : ''
+    };
+    if (this.scrollPaddingValues && this.scrollPaddingValues.top === values.top &&
+        this.scrollPaddingValues.bottom === values.bottom) {
+      return;
+    }
+    this.changeStyle(root, 'scroll-padding-top', values.top, 'focus-obscured');
+    this.changeStyle(root, 'scroll-padding-bottom', values.bottom, 'focus-obscured');
+    
+    // Padding only proposed in report-only mode is still written by a later update
+    if (root.style.getPropertyValue('scroll-padding-top') === values.top &&
+        root.style.getPropertyValue('scroll-padding-bottom') === values.bottom) {
+      this.scrollPaddingValues = values;
+    }
+  }
+
+  /**
+   * Report tabbable elements without an accessible name (WCAG 4.1.2 Name, Role, Value)
+   *
+   * Icon-only buttons, empty links and custom controls are silent to screen readers
+   * without a name. With fillMissingNames, such an element gets an aria-label from
+   * the first of nameSources that has text, or from iconNames when it only shows an
+   * icon. Elements that can't be named are reported either way.
+   * @param {Element} container - The container element
+   */
+  checkMissingNames(container) {
+    this.findCheckedElements(container).forEach(element => {
+      // Focusable elements without a role can't be named; validateNonInteractiveElements reports them
+      if (!this.getElementRole(element) && !this.isNativelyFocusable(element)) {
+        return;
+      }
+      if ((!this.reportOnly && this.missingNameReports.has(element)) || this.getAccessibleName(element) !== '') {
+        return;
+      }
+      
+      const name = this.fillMissingNames ? this.getFallbackName(element) : '';
+      const change = name ? this.changeAttribute(element, 'aria-label', name, 'missing-accessible-name') : null;
+      if (!this.reportOnly) {
+        this.missingNameReports.add(element);
+      }
+      
+      this.recordFinding('missing-accessible-name', element, {
+        attribute: name ? 'aria-label' : null,
+        before: null,
+        after: name || null,
+        changeId: change && change.id
+      });
+    });
+  }
+
+  /**
+   * Find a name for an element that has none
+   * @param {Element} element - An element without an accessible name
+   * @returns {string} - Text from the first of nameSources that has some, the name of its icon, or ''
+   */
+  getFallbackName(element) {
+    let name = '';
+    this.nameSources.some(source => {
+      const text = typeof source === 'function' ? source(element) : element.getAttribute(source);
+      name = text ? String(text).trim() : '';
+      return name !== '';
+    });
+    if (name) {
+      return name;
+    }
+    
+    // Icon-only controls name their icon in a class or in the symbol an SVG <use> references
+    const icons = [element].concat(this.queryAll(element, '[class], use'));
+    icons.some(icon => {
+      const tokens = Array.from(icon.classList || []);
+      const href = icon.localName === 'use' && (icon.getAttribute('href') || icon.getAttribute('xlink:href'));
+      if (href && href.includes('#')) {
+        tokens.push(href.slice(href.indexOf('#') + 1));
+      }
+      const token = tokens.find(candidate => Object.prototype.hasOwnProperty.call(this.iconNames, candidate));
+      name = token ? this.t(this.iconNames[token]) : '';
+      return name !== '';
+    });
+    return name;
+  }
+
+  /**
+   * Compute the accessible name of an element, following the W3C accname algorithm
+   *
+   * In order: aria-labelledby, aria-label, the native label (<label>, alt, the value of
+   * input buttons, <legend>, <caption>, <figcaption>, SVG <title>), the content for
+   * roles named by their content, then title and placeholder. Controls inside a label
+   * contribute their value, and text in ::before and ::after counts as content.
+   * @param {Element} element - The element
+   * @param {Object} options - { includeTitle: false } to leave out the title attribute
+   * @returns {string} - The name with whitespace collapsed, or '' if it has none
+   */
+  getAccessibleName(element, options = {}) {
+    const text = this.computeTextAlternative(element, {
+      root: element,
+      visited: new Set(),
+      inReference: false,
+      hiddenReference: false,
+      includeTitle: options.includeTitle !== false
+    });
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Compute the accessible description of an element
+   * @param {Element} element - The element
+   * @returns {string} - The text of the aria-describedby elements, aria-description, or a title that isn't the name
+   */
+  getAccessibleDescription(element) {
+    let text = this.getReferencedElements(element, 'aria-describedby')
+      .map(reference => this.computeTextAlternative(reference, {
+        root: element,
+        visited: new Set(),
+        inReference: true,
+        hiddenReference: this.isHiddenFromAccessibility(reference),
+        includeTitle: true
+      }))
+      .join(' ');
+    
+    if (!text.trim()) {
+      text = element.getAttribute('aria-description') || '';
+    }
+    
+    // A title is the description when the element is named by something else
+    if (!text.trim() && element.hasAttribute('title') && this.getAccessibleName(element, { includeTitle: false }) !== '') {
+      text = element.getAttribute('title');
+    }
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Compute the text alternative of a node, one step of the accname algorithm
+   * @param {Node} node - The node
+   * @param {Object} context - { root, visited, inReference, hiddenReference, includeTitle }
+   * @returns {string} - The text, with whitespace not yet collapsed
+   */
+  computeTextAlternative(node, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || context.visited.has(node)) {
+      return '';
+    }
+    context.visited.add(node);
+    
+    const isRoot = node === context.root;
+    const role = this.getElementRole(node);
+    
+    // Hidden content only counts inside a hidden element that aria-labelledby or aria-describedby references
+    if (!isRoot && !context.hiddenReference && this.isHiddenFromAccessibility(node)) {
+      return '';
+    }
+    
+    // aria-labelledby isn't followed again from inside a referenced element
+    if (!context.inReference) {
+      const labelledBy = this.getReferencedElements(node, 'aria-labelledby')
+        .map(reference => this.computeTextAlternative(reference, Object.assign({}, context, {
+          visited: new Set(),
+          inReference: true,
+          hiddenReference: this.isHiddenFromAccessibility(reference)
+        })))
+        .join(' ');
+      if (labelledBy.trim()) {
+        return labelledBy;
+      }
+    }
+    
+    // A control inside the label of another element contributes its value
+    if (!isRoot) {
+      const value = this.getEmbeddedControlValue(node, role);
+      if (value !== null) {
+        return value;
+      }
+    }
+    
+    const label = (node.getAttribute('aria-label') || '').trim();
+    if (label) {
+      return label;
+    }
+    
+    const native = this.getNativeTextAlternative(node, context);
+    if (native.trim()) {
+      return native;
+    }
+    
+    if (!isRoot || context.inReference || this.nameFromContentRoles.includes(role)) {
+      const content = this.getTextFromContent(node, context);
+      if (content.trim()) {
+        return content;
+      }
+    }
+    
+    const title = !isRoot || context.includeTitle ? (node.getAttribute('title') || '') : '';
+    if (title.trim()) {
+      return title;
+    }
+    if (node.localName === 'input' || node.localName === 'textarea') {
+      return node.getAttribute('placeholder') || node.getAttribute('aria-placeholder') || '';
+    }
+    return node.getAttribute('aria-placeholder') || '';
+  }
+
+  /**
+   * Get the text alternative HTML or SVG gives an element
+   * @param {Element} element - The element
+   * @param {Object} context - The accname context
+   * @returns {string} - The text of its labels, alt, value, legend, caption or title element, or ''
+   */
+  getNativeTextAlternative(element, context) {
+    const tag = element.localName;
+    const type = (element.getAttribute('type') || '').toLowerCase();
+    
+    if (element.labels && element.labels.length > 0) {
+      const labels = Array.from(element.labels)
+        .map(label => this.computeTextAlternative(label, Object.assign({}, context, {
+          hiddenReference: this.isHiddenFromAccessibility(label)
+        })))
+        .join(' ');
+      if (labels.trim()) {
+        return labels;
+      }
+    }
+    
+    if (tag === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+      // Browsers name unlabeled submit and reset buttons themselves
+      return element.getAttribute('value') || { submit: 'Submit', reset: 'Reset' }[type] || '';
+    }
+    if (tag === 'img' || tag === 'area' || (tag === 'input' && type === 'image')) {
+      return element.getAttribute('alt') || '';
+    }
+    
+    const captions = { fieldset: 'legend', table: 'caption', figure: 'figcaption', svg: 'title' };
+    const caption = captions[tag] && Array.from(element.children).find(child => child.localName === captions[tag]);
+    if (caption) {
+      // The caption is read as content even though the element isn't named by its content
+      return this.computeTextAlternative(caption, Object.assign({}, context, { inReference: true }));
+    }
+    return '';
+  }
+
+  /**
+   * Get the value a control contributes to the name of the element it labels
+   * @param {Element} element - The control
+   * @param {string|null} role - Its role
+   * @returns {string|null} - The value, the selected options or the value text, or null if it isn't such a control
+   */
+  getEmbeddedControlValue(element, role) {
+    const hasValue = element.localName === 'input' || element.localName === 'textarea';
+    
+    if (role === 'textbox' || role === 'searchbox') {
+      return hasValue ? element.value : element.textContent;
+    }
+    if (role === 'combobox' || role === 'listbox') {
+      if (element.localName === 'select') {
+        return Array.from(element.selectedOptions).map(option => option.textContent).join(' ');
+      }
+      if (hasValue) {
+        return element.value;
+      }
+      return this.queryAll(element, '[role="option"][aria-selected="true"]')
+        .map(option => option.textContent)
+        .join(' ');
+    }
+    if (['slider', 'spinbutton', 'progressbar', 'scrollbar', 'meter'].includes(role)) {
+      return element.getAttribute('aria-valuetext') || element.getAttribute('aria-valuenow') ||
+        (hasValue ? element.value : '');
+    }
+    return null;
+  }
+
+  /**
+   * Get the text of an element's content, including CSS generated content
+   * @param {Element} element - The element
+   * @param {Object} context - The accname context
+   * @returns {string} - The text alternatives of its children
+   */
+  getTextFromContent(element, context) {
+    const view = element.ownerDocument.defaultView || window;
+    let children = element.childNodes;
+    if (this.traverseShadowDom && element.shadowRoot) {
+      children = element.shadowRoot.childNodes;
+    } else if (element.localName === 'slot' && element.assignedNodes && element.assignedNodes({ flatten: true }).length > 0) {
+      children = element.assignedNodes({ flatten: true });
+    }
+    
+    const text = Array.from(children).map(child => {
+      const childText = this.computeTextAlternative(child, context);
+      
+      // Block-level children are separate words, inline ones run on
+      if (child.nodeType === Node.ELEMENT_NODE && !/^(inline|contents)/.test(view.getComputedStyle(child).display)) {
+        return ` ${childText} `;
+      }
+      return childText;
+    }).join('');
+    
+    return this.getGeneratedContent(element, '::before') + text + this.getGeneratedContent(element, '::after');
+  }
+
+  /**
+   * Get the text a ::before or ::after pseudo-element adds
+   * @param {Element} element - The element
+   * @param {string} pseudo - '::before' or '::after'
+   * @returns {string} - The quoted text of its content property, or ''
+   */
+  getGeneratedContent(element, pseudo) {
+    const view = element.ownerDocument.defaultView || window;
+    let content = '';
+    try {
+      content = view.getComputedStyle(element, pseudo).content || '';
+    } catch (error) {
+      return '';
+    }
+    
+    const match = /^(["'])(.*)\1$/.exec(content);
+    if (!match) {
+      return '';
+    }
+    
+    // Icon fonts draw their glyphs from the Private Use Area, which has no text to read
+    return match[2]
+      .replace(/\\([0-9a-f]{1,6}) ?/gi, (escape, code) => String.fromCodePoint(parseInt(code, 16)))
+      .replace(/[\uE000-\uF8FF]/g, '');
+  }
+
+  /**
+   * Get the elements an ID reference attribute points to
+   * @param {Element} element - The element
+   * @param {string} attribute - The attribute, e.g. 'aria-labelledby'
+   * @returns {Array} - The referenced elements that exist, in the element's document or shadow root
+   */
+  getReferencedElements(element, attribute) {
+    const root = element.getRootNode();
+    const lookup = root.getElementById ? root : element.ownerDocument;
+    return (element.getAttribute(attribute) || '').split(/\s+/)
+      .filter(Boolean)
+      .map(id => lookup.getElementById(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Check if an element is hidden from assistive technologies
+   *
+   * Unlike isVisuallyHidden(), text that is only visually hidden (such as a
+   * screen-reader-only class) or transparent is still read.
+   * @param {Element} element - The element to check
+   * @returns {boolean} - Whether it is display: none, visibility: hidden, hidden or aria-hidden
+   */
+  isHiddenFromAccessibility(element) {
+    if (element.hasAttribute('hidden') || element.getAttribute('aria-hidden') === 'true') {
+      return true;
+    }
+    const view = element.ownerDocument.defaultView || window;
+    const style = view.getComputedStyle(element);
+    return style.display === 'none' || style.visibility === 'hidden';
+  }
+
+  /**
+   * Get the role of an element, explicit or implied by its markup
+   * @param {Element} element - The element
+   * @returns {string|null} - The role, or null for generic elements
+   */
+  getElementRole(element) {
+    const explicit = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+    if (explicit) {
+      return explicit === 'none' ? 'presentation' : explicit;
+    }
+    
+    const tag = element.localName;
+    if (tag === 'a' || tag === 'area') {
+      return element.hasAttribute('href') ? 'link' : null;
+    }
+    if (tag === 'input') {
+      const type = (element.getAttribute('type') || 'text').toLowerCase();
+      const inputRoles = {
+        button: 'button', submit: 'button', reset: 'button', image: 'button', checkbox: 'checkbox',
+        radio: 'radio', range: 'slider', number: 'spinbutton', search: 'searchbox',
+        text: 'textbox', email: 'textbox', tel: 'textbox', url: 'textbox'
+      };
+      const role = inputRoles[type] || null;
+      return element.hasAttribute('list') && ['textbox', 'searchbox'].includes(role) ? 'combobox' : role;
+    }
+    if (tag === 'select') {
+      return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+    }
+    if (tag === 'img') {
+      return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+    }
+    
+    const implicitRoles = {
+      button: 'button', summary: 'button', textarea: 'textbox', option: 'option',
+      h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading',
+      td: 'cell', th: 'columnheader', tr: 'row', table: 'table', fieldset: 'group', details: 'group',
+      figure: 'figure', dialog: 'dialog', nav: 'navigation', main: 'main', aside: 'complementary',
+      ul: 'list', ol: 'list', li: 'listitem', progress: 'progressbar', meter: 'meter', output: 'status', hr: 'separator'
+    };
+    return implicitRoles[tag] || null;
+  }
+
+  /**
+   * Upgrade tab markup to the ARIA tabs pattern
+   *
+   * Plain ARIA tablists, Bootstrap nav tabs and pills, and jQuery UI tabs get the
+   * tablist, tab and tabpanel roles, aria-selected, aria-controls, aria-labelledby
+   * and a roving tabindex. With automatic activation, moving to a tab selects it;
+   * with manual activation, Enter or Space does. Bootstrap and jQuery UI keep
+   * showing and hiding their own panels. For other markup the manager toggles the
+   * hidden attribute, unless the page already hides panels with CSS.
+   * @param {Element} container - The container to search in
+   */
+  setupTabs(container) {
+    const tablists = this.getTablists(container);
+    
+    // Content added inside an existing tablist changes its tabs
+    const owner = container.closest && container.closest(this.tablistSelector);
+    if (owner && !tablists.includes(owner)) {
+      tablists.push(owner);
+    }
+    
+    tablists.forEach(tablist => {
+      const state = this.syncTabs(tablist);
+      if (!state || state.registered) {
+        return;
+      }
+      
+      state.registered = true;
+      this.tabWidgets.set(tablist, state);
+      this.registerCompositeWidget(tablist, {
+        orientation: state.orientation,
+        wrap: true,
+        onMove: (tab) => {
+          if (state.activation === 'automatic' && tab.getAttribute('aria-disabled') !== 'true') {
+            tab.click();
+          }
+        }
+      });
+      this.syncRovingTabindex(tablist);
+      
+      this.addListener(tablist, 'click', (e) => {
+        const tab = this.getTabs(tablist).find(item => this.composedContains(item, e.target));
+        if (!tab || tab.getAttribute('aria-disabled') === 'true') {
+          return;
+        }
         
-        // Store the focus trap removal function on the dialog element
-        dialog._removeFocusTrap = focusTrap.remove;
+        // Don't follow in-page links when the manager shows the panel itself
+        if (state.managePanels && tab.matches('a[href^="#"]')) {
+          e.preventDefault();
+        }
+        this.selectTab(tablist, tab);
+      });
+      
+      // Buttons activate on Enter and Space natively; other tab elements don't
+      this.addListener(tablist, 'keydown', (e) => {
+        if (e.key !== 'Enter' && e.key !== ' ') {
+          return;
+        }
         
-        // Set up a listener for when the dialog is closed or hidden
-        const dialogObserver = new MutationObserver((mutations) => {
-          mutations.forEach(mutation => {
-            if (mutation.type === 'attributes') {
-              if (this.isVisuallyHidden(dialog) || dialog.getAttribute('aria-hidden') === 'true') {
-                // Dialog was hidden, remove the focus trap
-                if (dialog._removeFocusTrap) {
-                  dialog._removeFocusTrap();
-                  delete dialog._removeFocusTrap;
+        const tab = this.getTabs(tablist).find(item => item === e.target);
+        if (tab && !tab.matches('button')) {
+          e.preventDefault();
+          tab.click();
+        }
+      });
+    });
+  }
+
+  /**
+   * Find the tablists in a container
+   * @param {Element} container - The container to search in
+   * @returns {Array} - ARIA tablists, Bootstrap nav tabs and pills with tab toggles, and jQuery UI tab navs
+   */
+  getTablists(container) {
+    return this.queryAll(container, this.tablistSelector).filter(tablist => this.getTabs(tablist).length > 0);
+  }
+
+  /**
+   * Get the tabs of a tablist
+   * @param {Element} tablist - The tablist element
+   * @returns {Array} - The tab elements, excluding tabs of nested tablists
+   */
+  getTabs(tablist) {
+    const owned = selector => Array.from(tablist.querySelectorAll(selector)).filter(tab =>
+      tab.parentElement.closest(this.tablistSelector) === tablist
+    );
+    
+    const tabs = owned('[role="tab"]');
+    if (tabs.length > 0) {
+      return tabs;
+    }
+    
+    // Bootstrap toggles, or the links of jQuery UI tabs that haven't been initialized
+    return owned(
+      '[data-toggle="tab"], [data-bs-toggle="tab"], [data-toggle="pill"], [data-bs-toggle="pill"], ' +
+      '.ui-tabs-nav > li > a[href]'
+    );
+  }
+
+  /**
+   * Find the panel a tab controls
+   * @param {Element} tab - The tab element
+   * @returns {Element|null} - The panel referenced by aria-controls, href, data-target or data-bs-target
+   */
+  getTabPanel(tab) {
+    const root = tab.getRootNode();
+    const byId = id => (id && root.getElementById ? root.getElementById(id) : null);
+    
+    const controlled = byId(tab.getAttribute('aria-controls'));
+    if (controlled) {
+      return controlled;
+    }
+    
+    // jQuery UI puts the link inside the tab
+    const link = tab.matches('a[href]') ? tab : tab.querySelector('a[href]');
+    const href = link ? link.getAttribute('href') : '';
+    if (href && href.charAt(0) === '#' && byId(href.substring(1))) {
+      return byId(href.substring(1));
+    }
+    
+    const target = tab.getAttribute('data-bs-target') || tab.getAttribute('data-target');
+    if (target) {
+      try {
+        return root.querySelector(target);
+      } catch (e) {
+        return null;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Add the roles, states and relationships of the tabs pattern to a tablist
+   * @param {Element} tablist - The tablist element
+   * @returns {Object|null} - The tablist's state (new unless setupTabs() registered it), or null if it has no tabs
+   */
+  syncTabs(tablist) {
+    const tabs = this.getTabs(tablist);
+    if (tabs.length === 0) {
+      return null;
+    }
+    
+    let state = this.tabWidgets.get(tablist);
+    const framework = tablist.matches('.ui-tabs-nav')
+      ? 'jquery-ui'
+      : (tabs[0].matches('[data-toggle], [data-bs-toggle]') ? 'bootstrap' : 'aria');
+    let missingRoles = false;
+    
+    if (tablist.getAttribute('role') !== 'tablist') {
+      missingRoles = true;
+      this.changeAttribute(tablist, 'role', 'tablist', 'tabs');
+    }
+    
+    const vertical = tablist.getAttribute('aria-orientation') === 'vertical' ||
+      tablist.matches('.flex-column, .nav-stacked, .ui-tabs-vertical > .ui-tabs-nav');
+    if (vertical) {
+      this.changeAttribute(tablist, 'aria-orientation', 'vertical', 'tabs');
+    }
+    
+    const panels = [];
+    tabs.forEach(tab => {
+      if (tab.getAttribute('role') !== 'tab') {
+        missingRoles = true;
+        this.changeAttribute(tab, 'role', 'tab', 'tabs');
+      }
+      
+      // List items between the tablist and its tabs are only layout
+      let wrapper = tab.parentElement;
+      while (wrapper && wrapper !== tablist) {
+        if (wrapper.matches('li') && !wrapper.hasAttribute('role')) {
+          this.changeAttribute(wrapper, 'role', 'presentation', 'tabs');
+        }
+        wrapper = wrapper.parentElement;
+      }
+      
+      const panel = this.getTabPanel(tab);
+      if (!panel) {
+        this.recordFinding('tab-missing-panel', tab, {
+          attribute: 'aria-controls',
+          before: tab.getAttribute('aria-controls'),
+          after: tab.getAttribute('aria-controls')
+        });
+        return;
+      }
+      panels.push(panel);
+      
+      // Ids are only proposed in report-only mode, so reference the proposed ids
+      const tabId = this.ensureId(tab, 'tab-', 'tabs');
+      const panelId = this.ensureId(panel, 'tabpanel-', 'tabs');
+      
+      if (panelId && tab.getAttribute('aria-controls') !== panelId) {
+        const before = tab.getAttribute('aria-controls');
+        const change = this.changeAttribute(tab, 'aria-controls', panelId, 'tabs');
+        this.recordFinding('tab-missing-panel', tab, {
+          attribute: 'aria-controls',
+          before,
+          after: panelId,
+          changeId: change && change.id
+        });
+      }
+      
+      if (panel.getAttribute('role') !== 'tabpanel') {
+        missingRoles = true;
+        this.changeAttribute(panel, 'role', 'tabpanel', 'tabs');
+      }
+      
+      if (tabId && !panel.hasAttribute('aria-labelledby') && !panel.hasAttribute('aria-label')) {
+        const change = this.changeAttribute(panel, 'aria-labelledby', tabId, 'tabs');
+        this.recordFinding('tabpanel-missing-label', panel, {
+          attribute: 'aria-labelledby',
+          before: null,
+          after: tabId,
+          changeId: change && change.id
+        });
+      }
+      
+      // A panel without focusable content is focusable itself, so Tab reaches its text
+      if (!panel.hasAttribute('tabindex') &&
+          this.queryAll(panel, this.interactiveSelectors.join(',')).length === 0) {
+        this.changeAttribute(panel, 'tabindex', '0', 'tabs');
+      }
+    });
+    
+    if (missingRoles) {
+      this.recordFinding('tabs-missing-roles', tablist, { attribute: 'role' });
+    }
+    
+    if (!state) {
+      state = {
+        tablist,
+        framework,
+        orientation: vertical ? 'vertical' : 'horizontal',
+        activation: (tablist.getAttribute('data-activation') || this.tabActivation) === 'manual' ? 'manual' : 'automatic',
+        // Only toggle panels that aren't already hidden some other way
+        managePanels: framework === 'aria' && panels.every(panel => panel.hidden || !this.isVisuallyHidden(panel)),
+        registered: false
+      };
+    }
+    
+    // Exactly one tab is selected: the marked one, then the active one, then the first
+    const selectedTabs = tabs.filter(tab => tab.getAttribute('aria-selected') === 'true');
+    if (selectedTabs.length !== 1) {
+      this.recordFinding('tab-selection', tablist, {
+        attribute: 'aria-selected',
+        message: `tablist has ${selectedTabs.length} selected tabs; expected 1`
+      });
+    }
+    
+    const selected = selectedTabs[0] ||
+      tabs.find(tab => tab.matches('.active, .ui-tabs-active, .ui-state-active') ||
+        tab.parentElement.matches('.active, .ui-tabs-active, .ui-state-active')) ||
+      tabs[0];
+    this.selectTab(tablist, selected, state);
+    
+    return state;
+  }
+
+  /**
+   * Mark a tab as selected and show its panel
+   * @param {Element} tablist - The tablist element
+   * @param {Element} selected - The tab to select
+   * @param {Object} state - The tablist's state (default: the registered state)
+   */
+  selectTab(tablist, selected, state = this.tabWidgets.get(tablist)) {
+    this.getTabs(tablist).forEach(tab => {
+      const isSelected = tab === selected;
+      this.changeAttribute(tab, 'aria-selected', isSelected ? 'true' : 'false', 'tabs');
+      
+      const panel = this.getTabPanel(tab);
+      if (panel && state && state.managePanels) {
+        this.changeAttribute(panel, 'hidden', isSelected ? null : '', 'tabs');
+      }
+    });
+  }
+
+  /**
+   * Give accordion and disclosure headers button semantics and state
+   *
+   * Headers of Bootstrap and custom accordions get role="button" (unless they are
+   * buttons already), Enter and Space activation, aria-controls for their panel and an
+   * aria-expanded state that follows the panel. With accordionArrowNavigation, ArrowUp,
+   * ArrowDown, Home and End move between the headers of an accordion. Focusable content
+   * inside a panel that is collapsed but still rendered (e.g. height: 0) is made inert.
+   * @param {Element} container - The container to search in
+   */
+  setupDisclosures(container) {
+    const controls = this.getDisclosureControls(container);
+    
+    // A panel that was shown, hidden or changed updates the header that controls it
+    let current = container;
+    while (current) {
+      const owner = this.disclosurePanels.get(current);
+      if (owner && !controls.includes(owner.control)) {
+        controls.push(owner.control);
+      }
+      current = this.getComposedParent(current);
+    }
+    
+    controls.forEach(control => {
+      const panel = this.getDisclosurePanel(control);
+      if (!panel) {
+        return;
+      }
+      
+      const registered = this.disclosureWidgets.has(control);
+      if (!registered) {
+        this.registerDisclosure(control, panel);
+      }
+      this.syncDisclosure(control, panel, !registered);
+    });
+  }
+
+  /**
+   * Find the disclosure headers in a container
+   * @param {Element} container - The container to search in
+   * @returns {Array} - The elements that toggle a panel: the button inside a header, or the header itself
+   */
+  getDisclosureControls(container) {
+    const controlSelector = 'button, [role="button"], [data-toggle="collapse"], [data-bs-toggle="collapse"]';
+    const controls = [];
+    
+    this.queryAll(container, this.disclosureSelector).forEach(header => {
+      const control = header.matches(controlSelector)
+        ? header
+        : (header.querySelector(controlSelector) || header);
+      if (!controls.includes(control)) {
+        controls.push(control);
+      }
+    });
+    
+    return controls;
+  }
+
+  /**
+   * Find the panel a disclosure header shows and hides
+   * @param {Element} control - The disclosure header
+   * @returns {Element|null} - The panel referenced by aria-controls, data-target, data-bs-target or href, or the panel after the header
+   */
+  getDisclosurePanel(control) {
+    const root = control.getRootNode();
+    const byId = id => (id && root.getElementById ? root.getElementById(id) : null);
+    
+    const controlled = byId(control.getAttribute('aria-controls'));
+    if (controlled) {
+      return controlled;
+    }
+    
+    const target = control.getAttribute('data-bs-target') || control.getAttribute('data-target');
+    if (target) {
+      try {
+        const panel = root.querySelector(target);
+        if (panel) {
+          return panel;
+        }
+      } catch (e) {
+        // Not a selector; fall through to the other methods
+      }
+    }
+    
+    const href = control.getAttribute('href') || '';
+    if (href.length > 1 && href.charAt(0) === '#' && byId(href.substring(1))) {
+      return byId(href.substring(1));
+    }
+    
+    // Custom markup: the panel follows the header or the element wrapping it
+    let header = control;
+    for (let depth = 0; depth < 3 && header; depth++) {
+      const next = header.nextElementSibling;
+      if (next && next.matches(this.disclosurePanelSelector)) {
+        return next;
+      }
+      header = header.parentElement;
+    }
+    
+    header = control.closest('.accordion-header, .accordion-title, .accordion-toggle, .collapsible-header');
+    return header ? header.nextElementSibling : null;
+  }
+
+  /**
+   * Check if a disclosure panel is expanded
+   * @param {Element} panel - The panel element
+   * @returns {boolean} - Whether the panel is shown and not collapsed to zero height
+   */
+  isDisclosurePanelOpen(panel) {
+    if (panel.hidden || this.isVisuallyHidden(panel) || this.hasHiddenParent(panel) ||
+        panel.matches('.collapse:not(.show):not(.in)')) {
+      return false;
+    }
+    
+    const view = panel.ownerDocument.defaultView || window;
+    const style = view.getComputedStyle(panel);
+    const zeroHeight = style.height === '0px' || style.maxHeight === '0px';
+    return !(zeroHeight && (style.overflow === 'hidden' || style.overflowY === 'hidden'));
+  }
+
+  /**
+   * Add button semantics and the expanded state to a disclosure header
+   * @param {Element} control - The disclosure header
+   * @param {Element} panel - The panel it controls
+   * @param {boolean} reportFindings - Whether to report what is missing (default: when the header isn't registered yet)
+   */
+  syncDisclosure(control, panel, reportFindings = !this.disclosureWidgets.has(control)) {
+    const state = this.disclosureWidgets.get(control);
+    const missing = [];
+    
+    if (!control.matches('button, summary') && control.getAttribute('role') !== 'button') {
+      missing.push('role');
+      this.changeAttribute(control, 'role', 'button', 'disclosure');
+    }
+    
+    if (!control.hasAttribute('tabindex') && !this.isNativelyFocusable(control)) {
+      this.changeAttribute(control, 'tabindex', '0', 'disclosure');
+    }
+    
+    const panelId = this.ensureId(panel, 'disclosure-', 'disclosure');
+    if (panelId && control.getAttribute('aria-controls') !== panelId) {
+      missing.push('aria-controls');
+      this.changeAttribute(control, 'aria-controls', panelId, 'disclosure');
+    }
+    
+    const open = this.isDisclosurePanelOpen(panel);
+    if (control.getAttribute('aria-expanded') !== String(open)) {
+      missing.push('aria-expanded');
+      this.changeAttribute(control, 'aria-expanded', String(open), 'disclosure');
+    }
+    
+    // Only report what the page got wrong, not state changes after the header was wired
+    if (missing.length > 0 && reportFindings) {
+      this.recordFinding('disclosure-semantics', control, {
+        attribute: missing[0],
+        message: `Disclosure header is missing or has the wrong ${missing.join(', ')}`
+      });
+    }
+    
+    // A collapsed panel that is still rendered keeps its content in the tab order
+    const rendered = !panel.hidden && !this.isVisuallyHidden(panel) && !this.hasHiddenParent(panel);
+    const inertChanges = state ? state.inertChanges : [];
+    
+    if (!open && rendered && inertChanges.length === 0) {
+      const focusable = this.findTabbableElements(panel);
+      if (focusable.length > 0) {
+        if (reportFindings) {
+          this.recordFinding('collapsed-content-focusable', panel, {
+            message: `${focusable.length} focusable elements inside a collapsed panel`
+          });
+        }
+        
+        const changes = this.makeInert(panel, 'disclosure');
+        if (state) {
+          state.inertChanges = changes;
+        }
+      }
+    } else if (open && inertChanges.length > 0) {
+      inertChanges.slice().reverse().forEach(change => this.revert(change.id));
+      state.inertChanges = [];
+    }
+  }
+
+  /**
+   * Add keyboard activation and state tracking to a disclosure header
+   * @param {Element} control - The disclosure header
+   * @param {Element} panel - The panel it controls
+   */
+  registerDisclosure(control, panel) {
+    const state = { control, panel, inertChanges: [] };
+    this.disclosureWidgets.set(control, state);
+    this.disclosurePanels.set(panel, state);
+    
+    this.addListener(control, 'keydown', (e) => {
+      // Buttons activate on Enter and Space natively; other headers don't
+      if ((e.key === 'Enter' || e.key === ' ') && !control.matches('button')) {
+        e.preventDefault();
+        control.click();
+        return;
+      }
+      
+      if (!this.accordionArrowNavigation || !['ArrowUp', 'ArrowDown', 'Home', 'End'].includes(e.key)) {
+        return;
+      }
+      
+      const controls = this.getAccordionControls(control).filter(item => !this.shouldBeRemovedFromTabOrder(item));
+      const index = controls.indexOf(control);
+      if (controls.length < 2 || index === -1) {
+        return;
+      }
+      
+      e.preventDefault();
+      const targets = {
+        ArrowUp: controls[(index - 1 + controls.length) % controls.length],
+        ArrowDown: controls[(index + 1) % controls.length],
+        Home: controls[0],
+        End: controls[controls.length - 1]
+      };
+      targets[e.key].focus();
+    });
+    
+    // Follow the page's own show and hide, right away and when a transition ends
+    this.addListener(control, 'click', () => {
+      this.setTimer(() => this.syncDisclosure(control, panel), 0);
+    });
+    this.addListener(panel, 'transitionend', (e) => {
+      if (e.target === panel) {
+        this.syncDisclosure(control, panel);
+      }
+    });
+  }
+
+  /**
+   * Get the headers of the accordion a disclosure header belongs to
+   * @param {Element} control - The disclosure header
+   * @returns {Array} - The registered headers of the same accordion, in tree order
+   */
+  getAccordionControls(control) {
+    const groupSelector = '.accordion, .panel-group, .accordion-group, [data-accordion]';
+    const group = control.closest(groupSelector) ||
+      (control.closest(this.disclosureSelector) || control).parentElement;
+    if (!group) {
+      return [control];
+    }
+    
+    return this.getDisclosureControls(group).filter(item =>
+      this.disclosureWidgets.has(item) &&
+      (item.closest(groupSelector) || (item.closest(this.disclosureSelector) || item).parentElement) === group
+    );
+  }
+
+  /**
+   * Set up support for multi-step wizards
+   * @param {Element} container - The container to search in
+   */
+  setupWizardNavigationSupport(container) {
+    // Common wizard selectors
+    const wizardSelectors = [
+      '.wizard',
+      '.stepper',
+      '.multi-step-form',
+      '.form-wizard',
+      '.step-progress'
+    ];
+    
+    const wizards = this.queryAll(container, wizardSelectors.join(','));
+    
+    wizards.forEach(wizard => {
+      // Look for step indicators
+      const steps = wizard.querySelectorAll(
+        '.step, .wizard-step, .form-step, .step-indicator'
+      );
+      
+      // Look for next/previous buttons
+      const nextButtons = wizard.querySelectorAll(
+        '.next-step, .btn-next, [data-action="next"], .wizard-next'
+      );
+      
+      const prevButtons = wizard.querySelectorAll(
+        '.prev-step, .btn-prev, [data-action="previous"], .wizard-prev'
+      );
+      
+      // Handle next button clicks
+      nextButtons.forEach(button => {
+        this.addListener(button, 'click', () => {
+          // Wait for the next step to become visible
+          this.setTimer(() => {
+            // Find the current active step
+            const activeStep = wizard.querySelector(
+              '.step.active, .wizard-step.active, .form-step.active, ' +
+              '[role="tab"][aria-selected="true"], .step-indicator.active'
+            );
+            
+            if (activeStep) {
+              // Find the step content associated with this step
+              let stepContent = null;
+              
+              // Try different methods to find the step content
+              // 1. Check for aria-controls attribute
+              if (activeStep.hasAttribute('aria-controls')) {
+                const contentId = activeStep.getAttribute('aria-controls');
+                stepContent = document.getElementById(contentId);
+              }
+              
+              // 2. Check for data-target attribute
+              if (!stepContent && activeStep.hasAttribute('data-target')) {
+                const contentSelector = activeStep.getAttribute('data-target');
+                stepContent = document.querySelector(contentSelector);
+              }
+              
+              // 3. Look for a corresponding content element
+              if (!stepContent) {
+                const stepIndex = Array.from(steps).indexOf(activeStep);
+                const contentElements = wizard.querySelectorAll(
+                  '.step-content, .wizard-content, .form-step-content, [role="tabpanel"]'
+                );
+                
+                if (contentElements.length > stepIndex) {
+                  stepContent = contentElements[stepIndex];
+                }
+              }
+              
+              // If we found step content, focus the first interactive element
+              if (stepContent) {
+                const tabbableElements = this.findTabbableElements(stepContent);
+                if (tabbableElements.length > 0) {
+                  tabbableElements[0].focus();
+                } else {
+                  // If no interactive elements, focus the step content itself
+                  this.focusTemporarily(stepContent, 'wizard-navigation');
                 }
-                dialog.removeAttribute('data-focus-trap-active');
-                dialogObserver.disconnect();
               }
             }
-          });
+          }, 100);
+        });
+      });
+      
+      // Handle keyboard navigation for the wizard steps
+      steps.forEach(step => {
+        this.addListener(step, 'keydown', (event) => {
+          // Arrow keys for navigation between steps
+          if (event.key === 'ArrowRight' || event.key === 'ArrowLeft') {
+            const direction = event.key === 'ArrowRight' ? 1 : -1;
+            const currentIndex = Array.from(steps).indexOf(step);
+            const targetIndex = currentIndex + direction;
+            
+            // Ensure the target index is within bounds
+            if (targetIndex >= 0 && targetIndex < steps.length) {
+              const targetStep = steps[targetIndex];
+              
+              // Check if the step is accessible (not disabled)
+              if (!targetStep.hasAttribute('disabled') && 
+                  !targetStep.classList.contains('disabled')) {
+                targetStep.click();
+                targetStep.focus();
+              }
+            }
+            
+            event.preventDefault();
+          }
         });
+      });
+    });
+  }
+  
+  /**
+   * Set up tooltips that meet WCAG 1.4.13 Content on Hover or Focus
+   *
+   * Tooltips appear when their trigger is hovered or focused. They stay while the
+   * pointer moves onto the tooltip itself, and Escape dismisses them from anywhere.
+   * For data-tooltip and title content a role="tooltip" element is created and linked
+   * with aria-describedby, or aria-labelledby when it is the trigger's only name.
+   * Elements whose aria-describedby doesn't point at a tooltip are left alone.
+   * @param {Element} container - The container to search in
+   */
+  setupTooltips(container) {
+    this.queryAll(container, this.tooltipTriggerSelector).forEach(trigger => {
+      if (this.tooltipWidgets.has(trigger)) {
+        return;
+      }
+      
+      const tooltip = this.getTooltip(trigger);
+      if (tooltip) {
+        this.registerTooltip(trigger, tooltip);
+      }
+    });
+    
+    // One listener dismisses whichever tooltips are showing
+    if (!this.tooltipEscapeHandler) {
+      this.tooltipEscapeHandler = this.addListener(document, 'keydown', (e) => {
+        if (e.key !== 'Escape') {
+          return;
+        }
         
-        dialogObserver.observe(dialog, {
-          attributes: true,
-          attributeFilter: ['style', 'class', 'hidden', 'aria-hidden']
+        this.visibleTooltips.forEach(state => {
+          state.dismissed = true;
+          this.updateTooltip(state);
+        });
+      }, true);
+    }
+  }
+
+  /**
+   * Find or create the tooltip element for a trigger
+   * @param {Element} trigger - The tooltip trigger
+   * @returns {Element|null} - The linked role="tooltip" element, or null if the trigger has no tooltip content
+   */
+  getTooltip(trigger) {
+    // A tooltip the page already linked
+    const describedBy = (trigger.getAttribute('aria-describedby') || trigger.getAttribute('data-tooltip-id') || '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(id => document.getElementById(id))
+      .find(element => element && element.matches('[role="tooltip"], .tooltip'));
+    if (describedBy) {
+      return describedBy;
+    }
+    
+    // Bootstrap renders its own tooltips once it has taken over the title
+    if (trigger.hasAttribute('data-original-title') || trigger.hasAttribute('data-bs-original-title')) {
+      return null;
+    }
+    
+    const text = (trigger.getAttribute('data-tooltip') || trigger.getAttribute('title') || '').trim();
+    if (!text || (!trigger.hasAttribute('data-tooltip') && !this.titleTooltips)) {
+      return null;
+    }
+    
+    const tooltip = document.createElement('div');
+    tooltip.id = 'tooltip-' + this.generateUniqueId();
+    tooltip.className = 'a11y-tooltip';
+    tooltip.setAttribute('role', 'tooltip');
+    tooltip.hidden = true;
+    tooltip.textContent = text;
+    
+    this.insertStyleSheet('tabindex-manager-tooltip-styles',
+      '.a11y-tooltip { position: absolute; z-index: 10000; max-width: 20em; padding: 0.25em 0.5em; ' +
+      'background: #222; color: #fff; border: 1px solid #fff; border-radius: 3px; font-size: 0.875rem; line-height: 1.4; }',
+      'tooltip');
+    this.insertElement(document.body, tooltip, null, 'tooltip');
+    
+    // The title would show a second, native tooltip; the tooltip is the name if nothing else is
+    const hasName = this.getAccessibleName(trigger, { includeTitle: false }) !== '';
+    if (trigger.hasAttribute('title')) {
+      this.changeAttribute(trigger, 'title', null, 'tooltip');
+    }
+    
+    const relation = hasName ? 'aria-describedby' : 'aria-labelledby';
+    const ids = (trigger.getAttribute(relation) || '').split(/\s+/).filter(Boolean);
+    this.changeAttribute(trigger, relation, ids.concat(tooltip.id).join(' '), 'tooltip');
+    
+    return tooltip;
+  }
+
+  /**
+   * Show a trigger's tooltip on hover and focus
+   * @param {Element} trigger - The tooltip trigger
+   * @param {Element} tooltip - The role="tooltip" element
+   */
+  registerTooltip(trigger, tooltip) {
+    const state = {
+      trigger,
+      tooltip,
+      generated: tooltip.classList.contains('a11y-tooltip'),
+      hidesWithAttribute: tooltip.hidden,
+      triggerHovered: false,
+      tooltipHovered: false,
+      focused: false,
+      dismissed: false,
+      hideTimer: null
+    };
+    this.tooltipWidgets.set(trigger, state);
+    
+    if (!trigger.hasAttribute('data-tooltip-keyboard-handled')) {
+      trigger.setAttribute('data-tooltip-keyboard-handled', 'true');
+    }
+    
+    // The trigger must be reachable by keyboard for its tooltip to be
+    if (!trigger.hasAttribute('tabindex') && !this.isNativelyFocusable(trigger)) {
+      this.changeAttribute(trigger, 'tabindex', '0', 'tooltip');
+    }
+    
+    const set = (property, value) => {
+      state[property] = value;
+      this.updateTooltip(state);
+    };
+    
+    this.addListener(trigger, 'mouseenter', () => set('triggerHovered', true));
+    this.addListener(trigger, 'mouseleave', () => set('triggerHovered', false));
+    this.addListener(trigger, 'focusin', () => set('focused', true));
+    this.addListener(trigger, 'focusout', () => set('focused', false));
+    this.addListener(tooltip, 'mouseenter', () => set('tooltipHovered', true));
+    this.addListener(tooltip, 'mouseleave', () => set('tooltipHovered', false));
+  }
+
+  /**
+   * Show or hide a tooltip to match its hover, focus and dismissed state
+   * @param {Object} state - The tooltip's state
+   */
+  updateTooltip(state) {
+    const active = state.triggerHovered || state.tooltipHovered || state.focused;
+    if (!active) {
+      state.dismissed = false;
+    }
+    
+    if (state.hideTimer) {
+      clearTimeout(state.hideTimer);
+      this.timers.delete(state.hideTimer);
+      state.hideTimer = null;
+    }
+    
+    if (active && !state.dismissed) {
+      this.showTooltip(state);
+    } else if (state.dismissed) {
+      this.hideTooltip(state);
+    } else {
+      // Give the pointer time to cross the gap between the trigger and the tooltip
+      state.hideTimer = this.setTimer(() => {
+        state.hideTimer = null;
+        this.hideTooltip(state);
+      }, this.tooltipHideDelay);
+    }
+  }
+
+  /**
+   * Show a tooltip next to its trigger
+   * @param {Object} state - The tooltip's state
+   */
+  showTooltip(state) {
+    const { trigger, tooltip } = state;
+    
+    if (state.generated) {
+      // The generated tooltip is the manager's own element, so placing it isn't a change to the page
+      const rect = trigger.getBoundingClientRect();
+      tooltip.style.top = `${rect.bottom + window.pageYOffset + 4}px`;
+      tooltip.style.left = `${rect.left + window.pageXOffset}px`;
+    } else {
+      this.changeClass(tooltip, ['show', 'visible'], true, 'tooltip');
+      this.changeAttribute(tooltip, 'aria-hidden', 'false', 'tooltip');
+    }
+    
+    if (state.hidesWithAttribute) {
+      this.changeAttribute(tooltip, 'hidden', null, 'tooltip');
+    }
+    this.visibleTooltips.add(state);
+  }
+
+  /**
+   * Hide a tooltip
+   * @param {Object} state - The tooltip's state
+   */
+  hideTooltip(state) {
+    if (!this.visibleTooltips.has(state)) {
+      return;
+    }
+    
+    if (!state.generated) {
+      this.changeClass(state.tooltip, ['show', 'visible'], false, 'tooltip');
+      this.changeAttribute(state.tooltip, 'aria-hidden', 'true', 'tooltip');
+    }
+    
+    if (state.hidesWithAttribute) {
+      this.changeAttribute(state.tooltip, 'hidden', '', 'tooltip');
+    }
+    this.visibleTooltips.delete(state);
+  }
+
+  /**
+   * Set up the ARIA menu button and menubar patterns
+   *
+   * Dropdown triggers get aria-haspopup, aria-controls and an aria-expanded state that
+   * follows the menu. Menus get the menu, menuitem and separator roles, and their items
+   * get tabindex="-1". Arrow keys, Home, End and typeahead move between items, ArrowRight
+   * or Enter opens a submenu, and Escape, Tab or a click outside closes the menu. Each
+   * menu is wired once, however often it is opened.
+   * @param {Element} container - The container to search in
+   */
+  setupMenus(container) {
+    this.queryAll(container, '[role="menubar"]').forEach(menubar => {
+      if (!this.menuWidgets.has(menubar)) {
+        this.registerMenubar(menubar);
+      }
+    });
+    
+    this.queryAll(container, this.menuTriggerSelector).forEach(trigger => {
+      const menu = this.getTriggeredMenu(trigger);
+      if (menu && !this.menuWidgets.has(menu)) {
+        this.registerMenu(menu, trigger, null);
+      }
+    });
+    
+    // One listener closes open menus when the user clicks elsewhere
+    if (!this.menuOutsideClickHandler) {
+      this.menuOutsideClickHandler = this.addListener(document, 'click', (e) => {
+        const target = e.composedPath ? e.composedPath()[0] : e.target;
+        Array.from(this.openMenus).forEach(state => {
+          if (state.parent && this.openMenus.has(state.parent)) {
+            return;
+          }
+          
+          const inside = node => node && this.composedContains(node, target);
+          if (!this.getMenuChain(state).some(open => inside(open.menu) || inside(open.trigger))) {
+            this.closeMenu(state, false);
+          }
         });
+      });
+    }
+  }
+
+  /**
+   * Find the menu a trigger opens
+   * @param {Element} trigger - The menu button or dropdown toggle
+   * @returns {Element|null} - The menu, or null for other popups such as listboxes and dialogs
+   */
+  getTriggeredMenu(trigger) {
+    const popup = trigger.getAttribute('aria-haspopup');
+    if (popup && popup !== 'true' && popup !== 'menu') {
+      return null;
+    }
+    
+    let menu = null;
+    
+    // Method 1: Check for aria-controls
+    if (trigger.hasAttribute('aria-controls')) {
+      menu = document.getElementById(trigger.getAttribute('aria-controls'));
+    }
+    
+    // Method 2: Check for next sibling
+    if (!menu && trigger.nextElementSibling &&
+        trigger.nextElementSibling.matches('.dropdown-menu, [role="menu"], ul')) {
+      menu = trigger.nextElementSibling;
+    }
+    
+    // Method 3: Check for parent container's child
+    if (!menu && trigger.parentElement) {
+      menu = trigger.parentElement.querySelector('.dropdown-menu');
+    }
+    
+    if (!menu || (menu.hasAttribute('role') && menu.getAttribute('role') !== 'menu')) {
+      return null;
+    }
+    return menu;
+  }
+
+  /**
+   * Get the items of a menu or menubar, excluding items of its submenus
+   * @param {Element} menu - The menu or menubar element
+   * @returns {Array} - The item elements in tree order
+   */
+  getMenuItems(menu) {
+    return Array.from(menu.querySelectorAll(this.menuItemSelector)).filter(item => {
+      // Links inside a list item that is the menu item aren't items themselves
+      const ownerItem = item.parentElement.closest('[role^="menuitem"]');
+      return item.parentElement.closest('[role="menu"], [role="menubar"], .dropdown-menu, ul, ol') === menu &&
+        !(ownerItem && menu.contains(ownerItem));
+    });
+  }
+
+  /**
+   * Find the submenu an item opens
+   * @param {Element} item - The menu item
+   * @returns {Element|null} - The submenu referenced by aria-controls, or nested next to or in the item
+   */
+  getSubmenu(item) {
+    if (item.hasAttribute('aria-controls')) {
+      return document.getElementById(item.getAttribute('aria-controls'));
+    }
+    
+    const sibling = item.nextElementSibling;
+    if (sibling && sibling.matches('ul, [role="menu"], .dropdown-menu')) {
+      return sibling;
+    }
+    return item.querySelector('[role="menu"], .dropdown-menu, ul');
+  }
+
+  /**
+   * Add the menubar role wiring and keyboard handling to a menubar
+   * @param {Element} menubar - The menubar element
+   * @returns {Object} - The menubar's state
+   */
+  registerMenubar(menubar) {
+    const state = { menu: menubar, trigger: null, parent: null, isMenubar: true, openChild: null };
+    this.menuWidgets.set(menubar, state);
+    this.syncMenuItems(state);
+    
+    this.registerCompositeWidget(menubar);
+    this.syncRovingTabindex(menubar);
+    
+    this.addListener(menubar, 'keydown', (e) => {
+      const item = this.getMenuItems(menubar).find(candidate => candidate === e.target);
+      const submenu = item && this.getSubmenu(item);
+      const child = submenu && this.menuWidgets.get(submenu);
+      if (!child) {
+        return;
+      }
+      
+      if (e.key === 'ArrowDown' || e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        this.openMenu(child, 'first');
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        this.openMenu(child, 'last');
+      }
+    });
+    
+    // Moving along an open menubar moves the open menu along with it
+    const compositeState = this.compositeWidgets.get(menubar);
+    if (compositeState) {
+      compositeState.onMove = (item, previous) => {
+        const open = state.openChild;
+        if (!open || open.trigger !== previous) {
+          return;
+        }
+        
+        this.closeMenu(open, false);
+        const submenu = this.getSubmenu(item);
+        if (submenu && this.menuWidgets.has(submenu)) {
+          this.openMenu(this.menuWidgets.get(submenu), null);
+        }
+      };
+    }
+    
+    return state;
+  }
+
+  /**
+   * Add the menu role wiring and keyboard handling to a menu and its submenus
+   * @param {Element} menu - The menu element
+   * @param {Element} trigger - The menu button or parent menu item that opens the menu
+   * @param {Object|null} parent - The state of the parent menu or menubar
+   * @returns {Object} - The menu's state
+   */
+  registerMenu(menu, trigger, parent) {
+    const state = {
+      menu,
+      trigger,
+      parent,
+      isMenubar: false,
+      openChild: null,
+      // Toggle buttons are opened and closed by the page's own click handlers
+      clickToToggle: !parent && trigger.matches(
+        '.dropdown-toggle, [data-toggle="dropdown"], [data-bs-toggle="dropdown"], button, [role="button"]'
+      ),
+      openedByManager: null,
+      typeahead: '',
+      typeaheadTimer: null
+    };
+    this.menuWidgets.set(menu, state);
+    
+    if (!trigger.hasAttribute('data-dropdown-keyboard-handled')) {
+      trigger.setAttribute('data-dropdown-keyboard-handled', 'true');
+    }
+    
+    if (menu.getAttribute('role') !== 'menu') {
+      this.changeAttribute(menu, 'role', 'menu', 'menu');
+    }
+    const menuId = this.ensureId(menu, 'menu-', 'menu');
+    if (!['true', 'menu'].includes(trigger.getAttribute('aria-haspopup'))) {
+      this.changeAttribute(trigger, 'aria-haspopup', 'true', 'menu');
+    }
+    if (menuId) {
+      this.changeAttribute(trigger, 'aria-controls', menuId, 'menu');
+    }
+    this.syncMenuExpanded(state);
+    this.syncMenuItems(state);
+    
+    this.registerCompositeWidget(menu, { orientation: 'vertical', wrap: true });
+    this.syncRovingTabindex(menu);
+    
+    this.addListener(menu, 'keydown', (e) => this.handleMenuKeyDown(state, e));
+    
+    // Menu buttons open with Enter, Space and the arrow keys; submenus are opened by their parent menu
+    if (!parent) {
+      this.addListener(trigger, 'keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ' || e.key === 'ArrowDown') {
+          e.preventDefault();
+          if (this.isMenuOpen(state) && e.key !== 'ArrowDown') {
+            this.closeMenu(state, true);
+          } else {
+            this.openMenu(state, 'first');
+          }
+        } else if (e.key === 'ArrowUp') {
+          e.preventDefault();
+          this.openMenu(state, 'last');
+        } else if (e.key === 'Escape' && this.isMenuOpen(state)) {
+          this.closeMenu(state, true);
+        }
+      });
+    }
+    
+    // Keep aria-expanded in step when the page opens or closes the menu on click
+    this.addListener(trigger, 'click', () => {
+      this.setTimer(() => this.syncMenuExpanded(state), 0);
+    });
+    
+    return state;
+  }
+
+  /**
+   * Add menu item roles and register the submenus of a menu or menubar
+   * @param {Object} state - The menu's state
+   */
+  syncMenuItems(state) {
+    this.getMenuItems(state.menu).forEach(item => {
+      if (!/^menuitem/.test(item.getAttribute('role') || '')) {
+        this.changeAttribute(item, 'role', 'menuitem', 'menu');
+      }
+      
+      // List items between the menu and its items are only layout
+      let wrapper = item.parentElement;
+      while (wrapper && wrapper !== state.menu) {
+        if (wrapper.matches('li') && !wrapper.hasAttribute('role')) {
+          this.changeAttribute(wrapper, 'role', 'presentation', 'menu');
+        }
+        wrapper = wrapper.parentElement;
+      }
+      
+      const submenu = this.getSubmenu(item);
+      if (submenu && !this.menuWidgets.has(submenu)) {
+        this.registerMenu(submenu, item, state);
       }
     });
+    
+    state.menu.querySelectorAll('.dropdown-divider, li.divider, hr').forEach(separator => {
+      if (!separator.hasAttribute('role')) {
+        this.changeAttribute(separator, 'role', 'separator', 'menu');
+      }
+    });
+  }
+
+  /**
+   * Check if a menu is shown
+   * @param {Object} state - The menu's state
+   * @returns {boolean} - Whether the menu is visible
+   */
+  isMenuOpen(state) {
+    return !state.menu.hidden && !this.isVisuallyHidden(state.menu) && !this.hasHiddenParent(state.menu);
+  }
+
+  /**
+   * Set aria-expanded on a menu's trigger to match whether the menu is shown
+   * @param {Object} state - The menu's state
+   */
+  syncMenuExpanded(state) {
+    const open = this.isMenuOpen(state);
+    this.changeAttribute(state.trigger, 'aria-expanded', open ? 'true' : 'false', 'menu');
+    
+    if (open) {
+      this.openMenus.add(state);
+    } else {
+      this.openMenus.delete(state);
+      state.openedByManager = null;
+      this.syncRovingTabindex(state.menu);
+    }
+    
+    if (state.parent) {
+      state.parent.openChild = open ? state : (state.parent.openChild === state ? null : state.parent.openChild);
+    }
+  }
+
+  /**
+   * Open a menu and optionally focus one of its items
+   * @param {Object} state - The menu's state
+   * @param {string|null} focus - 'first', 'last' or null to leave focus where it is
+   */
+  openMenu(state, focus) {
+    // Only one submenu of a menu is open at a time
+    if (state.parent && state.parent.openChild && state.parent.openChild !== state) {
+      this.closeMenu(state.parent.openChild, false);
+    }
+    
+    if (!this.isMenuOpen(state) && state.clickToToggle) {
+      state.trigger.click();
+    }
+    
+    // Show menus the page doesn't open itself, remembering how so they can be closed again
+    if (!this.isMenuOpen(state)) {
+      state.openedByManager = {
+        hidden: state.menu.hidden ? this.changeAttribute(state.menu, 'hidden', null, 'menu') : null,
+        show: this.changeClass(state.menu, 'show', true, 'menu'),
+        display: null
+      };
+      if (!this.isMenuOpen(state)) {
+        state.openedByManager.display = this.changeStyle(state.menu, 'display', 'block', 'menu');
+      }
+    }
+    
+    this.syncMenuExpanded(state);
+    
+    const items = this.getMenuItems(state.menu).filter(item => !this.shouldBeRemovedFromTabOrder(item));
+    const target = focus === 'first' ? items[0] : (focus === 'last' ? items[items.length - 1] : null);
+    const compositeState = this.compositeWidgets.get(state.menu);
+    if (target && compositeState) {
+      this.moveCompositeFocus(compositeState, target);
+    } else if (target) {
+      target.focus();
+    }
+  }
+
+  /**
+   * Close a menu and its open submenus
+   * @param {Object} state - The menu's state
+   * @param {boolean} returnFocus - Whether to move focus back to the menu's trigger
+   */
+  closeMenu(state, returnFocus) {
+    if (state.openChild) {
+      this.closeMenu(state.openChild, false);
+    }
+    
+    if (this.isMenuOpen(state)) {
+      const opened = state.openedByManager;
+      if (opened) {
+        if (opened.display) {
+          this.changeStyle(state.menu, 'display', opened.display.before, 'menu');
+        }
+        this.changeClass(state.menu, 'show', false, 'menu');
+        if (opened.hidden) {
+          this.changeAttribute(state.menu, 'hidden', '', 'menu');
+        }
+      } else if (state.clickToToggle) {
+        state.trigger.click();
+      }
+    }
+    
+    this.syncMenuExpanded(state);
+    
+    if (returnFocus) {
+      state.trigger.focus();
+    }
+  }
+
+  /**
+   * Get a menu and the menus above it, from the outermost popup menu inwards
+   * @param {Object} state - The menu's state
+   * @returns {Array} - The states of the open menu chain, excluding any menubar
+   */
+  getMenuChain(state) {
+    const chain = [];
+    let current = state;
+    while (current && !current.isMenubar) {
+      chain.unshift(current);
+      current = current.parent;
+    }
+    
+    // Include the open submenus below the menu
+    let child = state.openChild;
+    while (child) {
+      chain.push(child);
+      child = child.openChild;
+    }
+    return chain;
   }
-  
+
   /**
-   * Set up event handlers for dynamic content loading
+   * Handle submenus, activation, typeahead and closing keys in a menu
+   * @param {Object} state - The menu's state
+   * @param {KeyboardEvent} event - The keydown event
    */
-  setupDynamicContentHandlers() {
-    // Common events that might load dynamic content in JSP/AJAX applications
-    const dynamicContentEvents = [
-      'ajaxComplete',       // jQuery ajax complete
-      'ajax:success',       // Rails ajax success
-      'htmx:afterSwap',     // HTMX content swap
-      'load-complete',      // Custom event for content loading
-      'content-update',     // Custom event for content updates
-      'dialog:opened',      // Dialog opened event
-      'modal:opened',       // Modal opened event
-      'pagination-complete' // Pagination event
-    ];
+  handleMenuKeyDown(state, event) {
+    const item = this.getMenuItems(state.menu).find(candidate => candidate === event.target);
+    if (!item || event.defaultPrevented) {
+      return;
+    }
     
-    // Listen for events that might signal dynamic content
-    dynamicContentEvents.forEach(eventName => {
-      document.addEventListener(eventName, (event) => {
-        // For events that include target information
-        let target = event.target || document.body;
+    const root = this.getMenuChain(state)[0];
+    const menubar = root.parent && root.parent.isMenubar ? root.parent : null;
+    const submenu = this.getSubmenu(item);
+    const child = submenu && this.menuWidgets.get(submenu);
+    
+    switch (event.key) {
+      case 'Escape':
+        event.preventDefault();
+        this.closeMenu(state, true);
+        return;
         
-        // Special case for jQuery events
-        if (event.detail && event.detail.target) {
-          target = event.detail.target;
+      case 'Tab':
+        // Let Tab continue from the menu button, after closing every open menu
+        this.closeMenu(root, true);
+        return;
+        
+      case 'ArrowRight':
+        event.preventDefault();
+        if (child) {
+          this.openMenu(child, 'first');
+        } else if (menubar) {
+          this.moveInMenubar(menubar, root, 1);
         }
+        return;
         
-        // Process the new content
-        setTimeout(() => {
-          this.processDynamicContent(target);
-          
-          // Focus the first interactive element if configured to do so
-          if (this.focusFirstElementInDynamicContent) {
-            const tabbableElements = this.findTabbableElements(target);
-            if (tabbableElements.length > 0) {
-              tabbableElements[0].focus();
-            }
-          }
-        }, 100); // Small delay to ensure the DOM is fully updated
-      });
-    });
-    
-    // Listen for XHR completions (for AJAX not using jQuery)
-    const originalXhrOpen = XMLHttpRequest.prototype.open;
-    const originalXhrSend = XMLHttpRequest.prototype.send;
-    const self = this;
-    
-    XMLHttpRequest.prototype.open = function() {
-      this._tabindexManagerUrl = arguments[1];
-      return originalXhrOpen.apply(this, arguments);
-    };
-    
-    XMLHttpRequest.prototype.send = function() {
-      const xhr = this;
-      const originalOnReadyStateChange = xhr.onreadystatechange;
-      
-      xhr.onreadystatechange = function() {
-        if (xhr.readyState === 4) {
-          // XHR completed, check for DOM updates after a small delay
-          setTimeout(() => {
-            self.processDynamicContent(document.body);
-          }, 300);
+      case 'ArrowLeft':
+        event.preventDefault();
+        if (state.parent && !state.parent.isMenubar) {
+          this.closeMenu(state, true);
+        } else if (menubar) {
+          this.moveInMenubar(menubar, root, -1);
         }
+        return;
         
-        if (originalOnReadyStateChange) {
-          originalOnReadyStateChange.apply(xhr, arguments);
+      case 'Enter':
+      case ' ':
+        if (child) {
+          event.preventDefault();
+          this.openMenu(child, 'first');
+          return;
         }
-      };
-      
-      return originalXhrSend.apply(xhr, arguments);
-    };
+        this.activateMenuItem(state, item, event);
+        return;
+    }
+    
+    // Typeahead: move to the next item starting with the typed characters
+    if (event.key.length === 1 && !event.ctrlKey && !event.altKey && !event.metaKey) {
+      this.handleMenuTypeahead(state, item, event.key);
+    }
   }
-  
+
   /**
-   * Set up support for multi-step wizards
-   * @param {Element} container - The container to search in
+   * Activate a menu item and close the menus unless it is a checkbox or radio item
+   * @param {Object} state - The menu's state
+   * @param {Element} item - The menu item
+   * @param {KeyboardEvent} event - The Enter or Space keydown event
    */
-  setupWizardNavigationSupport(container) {
-    // Common wizard selectors
-    const wizardSelectors = [
-      '.wizard',
-      '.stepper',
-      '[role="tablist"]',
-      '.multi-step-form',
-      '.form-wizard',
-      '.step-progress'
-    ];
+  activateMenuItem(state, item, event) {
+    const role = item.getAttribute('role');
     
-    const wizards = container.querySelectorAll(wizardSelectors.join(','));
-    
-    wizards.forEach(wizard => {
-      // Look for step indicators
-      const steps = wizard.querySelectorAll(
-        '.step, .wizard-step, .form-step, [role="tab"], .step-indicator'
-      );
-      
-      // Look for next/previous buttons
-      const nextButtons = wizard.querySelectorAll(
-        '.next-step, .btn-next, [data-action="next"], .wizard-next'
-      );
-      
-      const prevButtons = wizard.querySelectorAll(
-        '.prev-step, .btn-prev, [data-action="previous"], .wizard-prev'
-      );
-      
-      // Handle next button clicks
-      nextButtons.forEach(button => {
-        button.addEventListener('click', () => {
-          // Wait for the next step to become visible
-          setTimeout(() => {
-            // Find the current active step
-            const activeStep = wizard.querySelector(
-              '.step.active, .wizard-step.active, .form-step.active, ' +
-              '[role="tab"][aria-selected="true"], .step-indicator.active'
-            );
-            
-            if (activeStep) {
-              // Find the step content associated with this step
-              let stepContent = null;
-              
-              // Try different methods to find the step content
-              // 1. Check for aria-controls attribute
-              if (activeStep.hasAttribute('aria-controls')) {
-                const contentId = activeStep.getAttribute('aria-controls');
-                stepContent = document.getElementById(contentId);
-              }
-              
-              // 2. Check for data-target attribute
-              if (!stepContent && activeStep.hasAttribute('data-target')) {
-                const contentSelector = activeStep.getAttribute('data-target');
-                stepContent = document.querySelector(contentSelector);
-              }
-              
-              // 3. Look for a corresponding content element
-              if (!stepContent) {
-                const stepIndex = Array.from(steps).indexOf(activeStep);
-                const contentElements = wizard.querySelectorAll(
-                  '.step-content, .wizard-content, .form-step-content, [role="tabpanel"]'
-                );
-                
-                if (contentElements.length > stepIndex) {
-                  stepContent = contentElements[stepIndex];
-                }
-              }
-              
-              // If we found step content, focus the first interactive element
-              if (stepContent) {
-                const tabbableElements = this.findTabbableElements(stepContent);
-                if (tabbableElements.length > 0) {
-                  tabbableElements[0].focus();
-                } else {
-                  // If no interactive elements, focus the step content itself
-                  stepContent.setAttribute('tabindex', '-1');
-                  stepContent.focus();
-                  // Remove tabindex after focus
-                  setTimeout(() => {
-                    stepContent.removeAttribute('tabindex');
-                  }, 100);
-                }
-              }
-            }
-          }, 100);
-        });
-      });
-      
-      // Handle keyboard navigation for the wizard steps
-      steps.forEach(step => {
-        step.addEventListener('keydown', (event) => {
-          // Arrow keys for navigation between steps
-          if (event.key === 'ArrowRight' || event.key === 'ArrowLeft') {
-            const direction = event.key === 'ArrowRight' ? 1 : -1;
-            const currentIndex = Array.from(steps).indexOf(step);
-            const targetIndex = currentIndex + direction;
-            
-            // Ensure the target index is within bounds
-            if (targetIndex >= 0 && targetIndex < steps.length) {
-              const targetStep = steps[targetIndex];
-              
-              // Check if the step is accessible (not disabled)
-              if (!targetStep.hasAttribute('disabled') && 
-                  !targetStep.classList.contains('disabled')) {
-                targetStep.click();
-                targetStep.focus();
-              }
-            }
-            
-            event.preventDefault();
-          }
+    if (role === 'menuitemcheckbox' || role === 'menuitemradio') {
+      event.preventDefault();
+      if (role === 'menuitemradio') {
+        // Radio items in the same group (or menu) are mutually exclusive
+        const group = item.closest('[role="group"]') || state.menu;
+        group.querySelectorAll('[role="menuitemradio"]').forEach(radio => {
+          this.changeAttribute(radio, 'aria-checked', radio === item ? 'true' : 'false', 'menu');
         });
-      });
-    });
+      } else {
+        this.changeAttribute(item, 'aria-checked', item.getAttribute('aria-checked') === 'true' ? 'false' : 'true', 'menu');
+      }
+      item.click();
+      return;
+    }
+    
+    // Links and buttons click themselves on Enter
+    const nativeEnter = event.key === 'Enter' && item.matches('a[href], button');
+    if (!nativeEnter) {
+      event.preventDefault();
+      item.click();
+    }
+    
+    this.closeMenu(this.getMenuChain(state)[0], true);
   }
-  
+
   /**
-   * Set up handlers for tooltips and dropdowns
-   * @param {Element} container - The container to search in
+   * Move to the previous or next menubar item, opening its menu if it has one
+   * @param {Object} menubar - The menubar's state
+   * @param {Object} root - The state of the open menu below the menubar
+   * @param {number} direction - 1 for next, -1 for previous
    */
-  setupTooltipAndDropdownHandlers(container) {
-    // Handle tooltips
-    const tooltipTriggers = container.querySelectorAll(
-      '[data-tooltip], [data-toggle="tooltip"], [aria-describedby], ' +
-      '[role="tooltip"], .tooltip-trigger'
-    );
+  moveInMenubar(menubar, root, direction) {
+    const items = this.getMenuItems(menubar.menu).filter(item => !this.shouldBeRemovedFromTabOrder(item));
+    const index = items.indexOf(root.trigger);
+    const next = items[(index + direction + items.length) % items.length];
     
-    tooltipTriggers.forEach(trigger => {
-      // Ensure the trigger is keyboard accessible
-      if (!trigger.hasAttribute('tabindex')) {
-        trigger.setAttribute('tabindex', '0');
-      }
-      
-      // Add keyboard event listeners if they don't exist
-      if (!trigger.hasAttribute('data-tooltip-keyboard-handled')) {
-        trigger.setAttribute('data-tooltip-keyboard-handled', 'true');
-        
-        // Add keyboard support
-        trigger.addEventListener('keydown', (event) => {
-          // Show tooltip on Space or Enter
-          if (event.key === ' ' || event.key === 'Enter') {
-            event.preventDefault();
-            trigger.click(); // This should trigger the tooltip in most implementations
-            
-            // For custom implementations, try to find and show the tooltip
-            const tooltipId = trigger.getAttribute('aria-describedby') || 
-                             trigger.getAttribute('data-tooltip-id');
-            
-            if (tooltipId) {
-              const tooltip = document.getElementById(tooltipId);
-              if (tooltip) {
-                tooltip.classList.add('show', 'visible');
-                tooltip.setAttribute('aria-hidden', 'false');
-              }
-            }
-          }
-          
-          // Hide tooltip on Escape
-          if (event.key === 'Escape') {
-            const tooltipId = trigger.getAttribute('aria-describedby') || 
-                             trigger.getAttribute('data-tooltip-id');
-            
-            if (tooltipId) {
-              const tooltip = document.getElementById(tooltipId);
-              if (tooltip) {
-                tooltip.classList.remove('show', 'visible');
-                tooltip.setAttribute('aria-hidden', 'true');
-              }
-            }
-          }
-        });
-      }
-    });
+    this.closeMenu(root, false);
     
-    // Handle dropdowns
-    const dropdownTriggers = container.querySelectorAll(
-      '.dropdown-toggle, [data-toggle="dropdown"], ' +
-      '[aria-haspopup="true"], .has-dropdown > a'
-    );
+    const compositeState = this.compositeWidgets.get(menubar.menu);
+    if (compositeState) {
+      this.setActiveCompositeItem(compositeState, next);
+    }
     
-    dropdownTriggers.forEach(trigger => {
-      // Ensure the trigger is keyboard accessible
-      if (!trigger.hasAttribute('tabindex')) {
-        trigger.setAttribute('tabindex', '0');
-      }
-      
-      // Add keyboard event listeners if they don't exist
-      if (!trigger.hasAttribute('data-dropdown-keyboard-handled')) {
-        trigger.setAttribute('data-dropdown-keyboard-handled', 'true');
-        
-        trigger.addEventListener('keydown', (event) => {
-          // Toggle dropdown on Space or Enter
-          if (event.key === ' ' || event.key === 'Enter') {
-            event.preventDefault();
-            trigger.click(); // This should toggle the dropdown in most implementations
-            
-            // For custom implementations, try to find and show the dropdown
-            let dropdown = null;
-            
-            // Method 1: Check for aria-controls
-            if (trigger.hasAttribute('aria-controls')) {
-              const dropdownId = trigger.getAttribute('aria-controls');
-              dropdown = document.getElementById(dropdownId);
-            }
-            
-            // Method 2: Check for next sibling
-            if (!dropdown) {
-              dropdown = trigger.nextElementSibling;
-              if (dropdown && !dropdown.classList.contains('dropdown-menu')) {
-                dropdown = null;
-              }
-            }
-            
-            // Method 3: Check for parent container's child
-            if (!dropdown && trigger.parentElement) {
-              dropdown = trigger.parentElement.querySelector('.dropdown-menu');
-            }
-            
-            // If we found the dropdown, make its items focusable
-            if (dropdown) {
-              const dropdownItems = dropdown.querySelectorAll(
-                '.dropdown-item, .dropdown-option, li > a'
-              );
-              
-              // Make items focusable and focus the first one
-              dropdownItems.forEach(item => {
-                if (!item.hasAttribute('tabindex')) {
-                  item.setAttribute('tabindex', '0');
-                }
-              });
-              
-              if (dropdownItems.length > 0) {
-                setTimeout(() => {
-                  dropdownItems[0].focus();
-                }, 50);
-              }
-              
-              // Add keyboard navigation for dropdown items
-              dropdown.addEventListener('keydown', (event) => {
-                if (event.key === 'Escape') {
-                  // Close dropdown and return focus to trigger
-                  trigger.click();
-                  trigger.focus();
-                } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
-                  event.preventDefault();
-                  
-                  const direction = event.key === 'ArrowDown' ? 1 : -1;
-                  const items = Array.from(dropdownItems);
-                  const currentIndex = items.indexOf(document.activeElement);
-                  let targetIndex = currentIndex + direction;
-                  
-                  // Wrap around the list if needed
-                  if (targetIndex < 0) {
-                    targetIndex = items.length - 1;
-                  } else if (targetIndex >= items.length) {
-                    targetIndex = 0;
-                  }
-                  
-                  items[targetIndex].focus();
-                }
-              });
-            }
-          }
-          
-          // Close dropdown on Escape
-          if (event.key === 'Escape') {
-            // Check if dropdown is open by checking aria-expanded
-            if (trigger.getAttribute('aria-expanded') === 'true') {
-              trigger.click(); // Close the dropdown
-            }
-          }
-        });
+    const submenu = this.getSubmenu(next);
+    if (submenu && this.menuWidgets.has(submenu)) {
+      this.openMenu(this.menuWidgets.get(submenu), 'first');
+    } else {
+      next.focus();
+    }
+  }
+
+  /**
+   * Move focus to the next menu item whose text starts with the typed characters
+   * @param {Object} state - The menu's state
+   * @param {Element} item - The focused item
+   * @param {string} character - The typed character
+   */
+  handleMenuTypeahead(state, item, character) {
+    state.typeahead += character.toLowerCase();
+    if (state.typeaheadTimer) {
+      clearTimeout(state.typeaheadTimer);
+      this.timers.delete(state.typeaheadTimer);
+    }
+    state.typeaheadTimer = this.setTimer(() => {
+      state.typeahead = '';
+      state.typeaheadTimer = null;
+    }, 500);
+    
+    const items = this.getMenuItems(state.menu).filter(candidate => !this.shouldBeRemovedFromTabOrder(candidate));
+    const start = items.indexOf(item);
+    
+    // Search from the next item (or the current one while typing a longer prefix) and wrap
+    const offset = state.typeahead.length > 1 ? 0 : 1;
+    for (let i = 0; i < items.length; i++) {
+      const candidate = items[(start + offset + i) % items.length];
+      if (candidate.textContent.trim().toLowerCase().startsWith(state.typeahead)) {
+        const compositeState = this.compositeWidgets.get(state.menu);
+        if (compositeState) {
+          this.moveCompositeFocus(compositeState, candidate);
+        } else {
+          candidate.focus();
+        }
+        return;
       }
-    });
+    }
   }
 }
 
+// Focus traps are shared by every manager on the page, so nested dialogs stack correctly
+TabindexManager.focusTrapStack = [];
+
+// Listeners the page's scripts added, by target and event type, and the handlers managers added themselves
+TabindexManager.listenerRegistry = {
+  users: 0,
+  originals: null,
+  listeners: new WeakMap(),
+  ownListeners: new WeakSet()
+};
+
+// English messages for announcements and generated labels, used when a locale's catalog lacks a key
+TabindexManager.defaultMessages = {
+  en: {
+    'wizard.step': 'Step {step} of {total}',
+    'autocomplete.suggestions': '{count, plural, =0 {No suggestions} one {# suggestion available} other {# suggestions available}}',
+    'pagination.pageLoaded': 'Page {page} loaded',
+    'pagination.newPageLoaded': 'New page loaded',
+    'dialog.opened': '{name} dialog opened',
+    'dialog.openedUnnamed': 'Dialog opened',
+    'formErrors.summaryTitle': '{count, plural, one {There is # error in this form} other {There are # errors in this form}}',
+    'formErrors.fieldInvalid': '{field} is invalid',
+    'skipLinks.main': 'Skip to main content',
+    'skipLinks.menuLabel': 'Skip links',
+    'skipLinks.landmark': '{role, select, navigation {Navigation} search {Search} complementary {Complementary content} ' +
+      'banner {Header} contentinfo {Footer} other {Section}}',
+    'skipLinks.namedLandmark': '{landmark}: {name}',
+    'iconNames.search': 'Search',
+    'iconNames.close': 'Close',
+    'iconNames.delete': 'Delete',
+    'iconNames.edit': 'Edit',
+    'iconNames.add': 'Add',
+    'iconNames.menu': 'Menu',
+    'iconNames.settings': 'Settings',
+    'iconNames.home': 'Home',
+    'iconNames.print': 'Print',
+    'iconNames.download': 'Download',
+    'iconNames.previous': 'Previous',
+    'iconNames.next': 'Next',
+    'iconNames.help': 'Help'
+  }
+};
+
+// Message keys naming common Font Awesome, Bootstrap Icons and Glyphicons icons, by class
+TabindexManager.defaultIconNames = {
+  'fa-search': 'iconNames.search', 'fa-magnifying-glass': 'iconNames.search', 'bi-search': 'iconNames.search', 'glyphicon-search': 'iconNames.search',
+  'fa-times': 'iconNames.close', 'fa-xmark': 'iconNames.close', 'fa-close': 'iconNames.close', 'bi-x-lg': 'iconNames.close', 'glyphicon-remove': 'iconNames.close',
+  'fa-trash': 'iconNames.delete', 'fa-trash-can': 'iconNames.delete', 'bi-trash': 'iconNames.delete', 'glyphicon-trash': 'iconNames.delete',
+  'fa-pencil': 'iconNames.edit', 'fa-pen': 'iconNames.edit', 'fa-edit': 'iconNames.edit', 'bi-pencil': 'iconNames.edit', 'glyphicon-pencil': 'iconNames.edit',
+  'fa-plus': 'iconNames.add', 'bi-plus-lg': 'iconNames.add', 'glyphicon-plus': 'iconNames.add',
+  'fa-bars': 'iconNames.menu', 'bi-list': 'iconNames.menu', 'glyphicon-menu-hamburger': 'iconNames.menu',
+  'fa-cog': 'iconNames.settings', 'fa-gear': 'iconNames.settings', 'bi-gear': 'iconNames.settings', 'glyphicon-cog': 'iconNames.settings',
+  'fa-home': 'iconNames.home', 'fa-house': 'iconNames.home', 'bi-house': 'iconNames.home', 'glyphicon-home': 'iconNames.home',
+  'fa-print': 'iconNames.print', 'bi-printer': 'iconNames.print', 'glyphicon-print': 'iconNames.print',
+  'fa-download': 'iconNames.download', 'bi-download': 'iconNames.download', 'glyphicon-download': 'iconNames.download',
+  'fa-chevron-left': 'iconNames.previous', 'bi-chevron-left': 'iconNames.previous', 'glyphicon-chevron-left': 'iconNames.previous',
+  'fa-chevron-right': 'iconNames.next', 'bi-chevron-right': 'iconNames.next', 'glyphicon-chevron-right': 'iconNames.next',
+  'fa-question-circle': 'iconNames.help', 'fa-circle-question': 'iconNames.help', 'bi-question-circle': 'iconNames.help', 'glyphicon-question-sign': 'iconNames.help'
+};
+
 // Export the TabindexManager
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = TabindexManager;